@@ -0,0 +1,72 @@
+// agentPersona.js
+
+const PERSONA_STRING_FIELDS = ['systemPrompt', 'firstMessage', 'voiceId', 'language', 'agentId'];
+
+/**
+ * Validate per-call persona options from a request body and return the
+ * agent configuration stored on the call record:
+ * `{ agentId, prompt, firstMessage, voiceId, voiceSettings, language, tools, dynamicVariables }`.
+ * Fields that aren't set are omitted so defaults still apply.
+ * @throws {Error} when a field has the wrong type
+ */
+export function buildAgentPersona(options = {}) {
+  for (const field of PERSONA_STRING_FIELDS) {
+    if (options[field] !== undefined && typeof options[field] !== 'string') {
+      throw new Error(`${field} must be a string`);
+    }
+  }
+
+  const { dynamicVariables } = options;
+  if (dynamicVariables !== undefined) {
+    if (typeof dynamicVariables !== 'object' || dynamicVariables === null || Array.isArray(dynamicVariables)) {
+      throw new Error('dynamicVariables must be an object');
+    }
+    for (const [name, value] of Object.entries(dynamicVariables)) {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new Error(`dynamicVariables.${name} must be a string, number or boolean`);
+      }
+    }
+  }
+
+  const { voiceSettings, tools } = options;
+  if (voiceSettings !== undefined) {
+    if (typeof voiceSettings !== 'object' || voiceSettings === null || Array.isArray(voiceSettings)) {
+      throw new Error('voiceSettings must be an object');
+    }
+    for (const [name, value] of Object.entries(voiceSettings)) {
+      if (!['number', 'boolean'].includes(typeof value)) {
+        throw new Error(`voiceSettings.${name} must be a number or boolean`);
+      }
+    }
+  }
+  if (tools !== undefined && (!Array.isArray(tools) || tools.some(tool => typeof tool !== 'string'))) {
+    throw new Error('tools must be an array of tool names');
+  }
+
+  const persona = {
+    agentId: options.agentId,
+    prompt: options.systemPrompt,
+    firstMessage: options.firstMessage,
+    voiceId: options.voiceId,
+    voiceSettings,
+    language: options.language,
+    tools,
+    dynamicVariables: dynamicVariables && Object.keys(dynamicVariables).length ? dynamicVariables : undefined
+  };
+  return Object.fromEntries(Object.entries(persona).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Layer per-call persona overrides over a base persona (e.g. an agent
+ * profile); dynamic variables are merged rather than replaced
+ */
+export function mergePersonas(base = {}, overrides = {}) {
+  const dynamicVariables = { ...base.dynamicVariables, ...overrides.dynamicVariables };
+  const merged = { ...base, ...overrides };
+  if (Object.keys(dynamicVariables).length) {
+    merged.dynamicVariables = dynamicVariables;
+  } else {
+    delete merged.dynamicVariables;
+  }
+  return merged;
+}
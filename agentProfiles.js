@@ -0,0 +1,159 @@
+// agentProfiles.js
+import { JsonFileStore } from './jsonFileStore.js';
+import { buildAgentPersona, mergePersonas } from './agentPersona.js';
+import { validateAmdPolicy } from './amdPolicy.js';
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PROFILE_FIELDS = [
+  'agentId',
+  'systemPrompt',
+  'firstMessage',
+  'voiceId',
+  'voiceSettings',
+  'language',
+  'dynamicVariables',
+  'amdPolicy',
+  'voicemailMessage',
+  'tools'
+];
+
+/**
+ * Validate a profile body and keep only known fields
+ * @throws {Error} on invalid fields
+ */
+function validateProfile(body = {}) {
+  buildAgentPersona(body);
+  validateAmdPolicy(body.amdPolicy);
+  if (body.voicemailMessage !== undefined && typeof body.voicemailMessage !== 'string') {
+    throw new Error('voicemailMessage must be a string');
+  }
+  return Object.fromEntries(PROFILE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+/**
+ * Named, reusable agent profiles persisted in DATA_DIR/agents.json.
+ * A profile bundles the ElevenLabs agent, persona, AMD policy and tools.
+ */
+export class AgentProfileStore {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.fileName || 'agents.json', { profiles: {} });
+    this.defaultProfile = options.defaultProfile ?? process.env.DEFAULT_AGENT_PROFILE;
+  }
+
+  list() {
+    return Object.values(this.store.data.profiles);
+  }
+
+  get(name) {
+    return this.store.data.profiles[name];
+  }
+
+  create(name, body) {
+    if (!PROFILE_NAME_PATTERN.test(name || '')) {
+      throw new Error('name must be 1-64 letters, numbers, dashes or underscores');
+    }
+    if (this.get(name)) {
+      throw new Error(`Agent profile "${name}" already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const profile = { name, ...validateProfile(body), createdAt: now, updatedAt: now };
+    this.store.data.profiles[name] = profile;
+    this.store.save();
+    return profile;
+  }
+
+  update(name, body) {
+    const existing = this.get(name);
+    if (!existing) return null;
+
+    const profile = {
+      name,
+      ...validateProfile(body),
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    this.store.data.profiles[name] = profile;
+    this.store.save();
+    return profile;
+  }
+
+  delete(name) {
+    if (!this.get(name)) return false;
+    delete this.store.data.profiles[name];
+    this.store.save();
+    return true;
+  }
+
+  /**
+   * Resolve the agent configuration for a call: the named profile (or the
+   * DEFAULT_AGENT_PROFILE) with per-call persona options layered on top.
+   * @returns {{ profileName, agent, amdPolicy, voicemailMessage }}
+   * @throws {Error} when a named profile doesn't exist
+   */
+  resolve(profileName, overrides = {}) {
+    const name = profileName || this.defaultProfile;
+    const profile = name ? this.get(name) : null;
+    if (name && !profile) {
+      throw new Error(`Unknown agent profile: ${name}`);
+    }
+
+    return {
+      profileName: profile?.name,
+      agent: mergePersonas(profile ? buildAgentPersona(profile) : {}, buildAgentPersona(overrides)),
+      amdPolicy: profile?.amdPolicy || overrides.amdPolicy
+        ? { ...profile?.amdPolicy, ...overrides.amdPolicy }
+        : undefined,
+      voicemailMessage: overrides.voicemailMessage || profile?.voicemailMessage
+    };
+  }
+}
+
+export const agentProfiles = new AgentProfileStore();
+
+/** GET /agents */
+export async function handleListAgents(req, reply) {
+  return reply.send({ agents: agentProfiles.list() });
+}
+
+/** GET /agents/:name */
+export async function handleGetAgent(req, reply) {
+  const profile = agentProfiles.get(req.params.name);
+  if (!profile) {
+    return reply.status(404).send({ error: 'Agent profile not found' });
+  }
+  return reply.send(profile);
+}
+
+/** POST /agents */
+export async function handleCreateAgent(req, reply) {
+  const { name, ...body } = req.body || {};
+  try {
+    return reply.status(201).send(agentProfiles.create(name, body));
+  } catch (err) {
+    const status = err.message.includes('already exists') ? 409 : 400;
+    return reply.status(status).send({ error: err.message });
+  }
+}
+
+/** PUT /agents/:name — replaces the profile */
+export async function handleUpdateAgent(req, reply) {
+  const { name, ...body } = req.body || {};
+  try {
+    const profile = agentProfiles.update(req.params.name, body);
+    if (!profile) {
+      return reply.status(404).send({ error: 'Agent profile not found' });
+    }
+    return reply.send(profile);
+  } catch (err) {
+    return reply.status(400).send({ error: err.message });
+  }
+}
+
+/** DELETE /agents/:name */
+export async function handleDeleteAgent(req, reply) {
+  if (!agentProfiles.delete(req.params.name)) {
+    return reply.status(404).send({ error: 'Agent profile not found' });
+  }
+  return reply.status(204).send();
+}
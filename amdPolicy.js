@@ -0,0 +1,42 @@
+// amdPolicy.js
+
+// What to do with a call once answering machine detection reports `AnsweredBy`
+export const AMD_ACTIONS = ['continue', 'hangup', 'voicemail'];
+
+export const DEFAULT_AMD_POLICY = {
+  human: 'continue',
+  unknown: 'continue',
+  machine_start: 'hangup',
+  machine_end_beep: 'voicemail',
+  machine_end_silence: 'voicemail',
+  machine_end_other: 'voicemail',
+  fax: 'hangup'
+};
+
+export const DEFAULT_VOICEMAIL_MESSAGE = process.env.VOICEMAIL_MESSAGE ||
+  "Hi, this is Acme Realty calling about your property. We have buyers looking in your area and would love to offer you a free valuation. Please give us a call back at your convenience. Thank you!";
+
+/**
+ * Validate a partial policy such as `{ machine_end_beep: 'hangup' }`
+ * @throws {Error} on unknown AnsweredBy values or actions
+ */
+export function validateAmdPolicy(policy) {
+  if (policy === undefined || policy === null) return;
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('amdPolicy must be an object mapping AnsweredBy values to actions');
+  }
+
+  for (const [answeredBy, action] of Object.entries(policy)) {
+    if (!(answeredBy in DEFAULT_AMD_POLICY)) {
+      throw new Error(`Unknown AnsweredBy value in amdPolicy: ${answeredBy}`);
+    }
+    if (!AMD_ACTIONS.includes(action)) {
+      throw new Error(`Invalid amdPolicy action for ${answeredBy}: ${action} (expected ${AMD_ACTIONS.join(', ')})`);
+    }
+  }
+}
+
+/** Resolve the action for an AMD result, falling back to the defaults */
+export function resolveAmdAction(policy, answeredBy) {
+  return { ...DEFAULT_AMD_POLICY, ...policy }[answeredBy] || 'continue';
+}
@@ -0,0 +1,197 @@
+// apiKeys.js
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { JsonFileStore } from './jsonFileStore.js';
+
+// `admin` grants every scope
+export const API_SCOPES = ['dial', 'read', 'admin'];
+
+const KEY_PREFIX = 'aa_';
+const WS_TICKET_TTL_MS = 60 * 1000;
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/** Read the key from `Authorization: Bearer <key>` or `X-API-Key` */
+function extractKey(req) {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : req.headers['x-api-key'];
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error(`scopes must be a non-empty array of ${API_SCOPES.join(', ')}`);
+  }
+  for (const scope of scopes) {
+    if (!API_SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope: ${scope} (expected ${API_SCOPES.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * API keys persisted in DATA_DIR/api-keys.json. Only a SHA-256 hash of each
+ * key is stored; the key itself is returned once, when it is created.
+ * ADMIN_API_KEY from the environment is always accepted with the admin scope,
+ * so the first keys can be created.
+ */
+export class ApiKeyStore {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.fileName || 'api-keys.json', { keys: {} });
+    this.adminKey = options.adminKey;
+  }
+
+  /**
+   * Hash of the admin key, read on use rather than at import: server.js loads
+   * .env after its imports have been evaluated
+   */
+  get adminKeyHash() {
+    const adminKey = this.adminKey ?? process.env.ADMIN_API_KEY;
+    return adminKey ? Buffer.from(hashKey(adminKey), 'hex') : null;
+  }
+
+  get isConfigured() {
+    return Boolean(this.adminKeyHash) || Object.keys(this.store.data.keys).length > 0;
+  }
+
+  list() {
+    return Object.values(this.store.data.keys).map(({ hash, ...key }) => key);
+  }
+
+  create({ name, scopes } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('name is required');
+    }
+    validateScopes(scopes);
+
+    const secret = `${KEY_PREFIX}${randomBytes(24).toString('hex')}`;
+    const record = {
+      id: randomUUID(),
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      prefix: secret.slice(0, KEY_PREFIX.length + 6),
+      createdAt: new Date().toISOString(),
+      hash: hashKey(secret)
+    };
+    this.store.data.keys[record.id] = record;
+    this.store.save();
+
+    const { hash, ...key } = record;
+    return { ...key, key: secret };
+  }
+
+  revoke(id) {
+    if (!this.store.data.keys[id]) return false;
+    delete this.store.data.keys[id];
+    this.store.save();
+    return true;
+  }
+
+  /** Look up the key presented on a request, or null */
+  authenticate(secret) {
+    if (!secret) return null;
+    const hash = hashKey(secret);
+
+    const adminKeyHash = this.adminKeyHash;
+    if (adminKeyHash && timingSafeEqual(Buffer.from(hash, 'hex'), adminKeyHash)) {
+      return { id: 'env', name: 'ADMIN_API_KEY', scopes: ['admin'] };
+    }
+
+    const record = Object.values(this.store.data.keys).find(key => key.hash === hash);
+    if (!record) return null;
+    const { hash: _, ...key } = record;
+    return key;
+  }
+}
+
+export const apiKeys = new ApiKeyStore();
+
+// One-time tickets for opening a WebSocket from a browser, which can't set
+// headers on the upgrade request: ticket -> { key, expiresAt }
+const wsTickets = new Map();
+
+/** Issue a ticket that authenticates one WebSocket upgrade as `key` */
+export function issueWsTicket(key) {
+  const now = Date.now();
+  for (const [ticket, { expiresAt }] of wsTickets) {
+    if (expiresAt < now) wsTickets.delete(ticket);
+  }
+
+  const ticket = randomBytes(24).toString('hex');
+  const expiresAt = now + WS_TICKET_TTL_MS;
+  wsTickets.set(ticket, { key, expiresAt });
+  return { ticket, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function consumeWsTicket(ticket) {
+  const entry = ticket && wsTickets.get(ticket);
+  if (!entry) return null;
+  wsTickets.delete(ticket);
+  return entry.expiresAt >= Date.now() ? entry.key : null;
+}
+
+function isWebSocketUpgrade(req) {
+  return String(req.headers.upgrade || '').toLowerCase() === 'websocket';
+}
+
+export function hasScope(key, scope) {
+  return key.scopes.includes('admin') || key.scopes.includes(scope);
+}
+
+/**
+ * onRequest hook enforcing API keys on every route. Routes declare what they
+ * need with `config: { scope }`; `config: { public: true }` opts out (Twilio
+ * webhooks, which are signature-checked instead). Routes that declare
+ * nothing require the admin scope.
+ */
+export async function requireApiKey(req, reply) {
+  const config = req.routeOptions?.config || {};
+  // Unknown routes 404 as usual and CORS preflights never carry credentials
+  if (!req.routeOptions?.url || config.public || req.method === 'OPTIONS') return;
+
+  // WebSocket upgrades may carry a ticket from POST /ws-tickets instead of a header
+  const key = apiKeys.authenticate(extractKey(req)) ||
+    (isWebSocketUpgrade(req) ? consumeWsTicket(req.query?.ticket) : null);
+  if (!key) {
+    return reply.status(401).send({ error: 'Missing or invalid API key' });
+  }
+
+  const scope = config.scope || 'admin';
+  if (!hasScope(key, scope)) {
+    req.log.warn('🚫 API key lacks scope', { keyId: key.id, scope, url: req.url });
+    return reply.status(403).send({ error: `API key lacks the ${scope} scope` });
+  }
+  req.apiKey = key;
+}
+
+/**
+ * POST /ws-tickets
+ *    A one-time `ticket` for the caller's key, valid for 60 seconds, to pass
+ *    as `?ticket=` when opening a WebSocket route from a browser
+ */
+export async function handleCreateWsTicket(req, reply) {
+  return reply.status(201).send(issueWsTicket(req.apiKey));
+}
+
+/** GET /api-keys */
+export async function handleListApiKeys(req, reply) {
+  return reply.send({ keys: apiKeys.list() });
+}
+
+/** POST /api-keys — the key is only ever shown in this response */
+export async function handleCreateApiKey(req, reply) {
+  try {
+    return reply.status(201).send(apiKeys.create(req.body || {}));
+  } catch (err) {
+    return reply.status(400).send({ error: err.message });
+  }
+}
+
+/** DELETE /api-keys/:id */
+export async function handleRevokeApiKey(req, reply) {
+  if (!apiKeys.revoke(req.params.id)) {
+    return reply.status(404).send({ error: 'API key not found' });
+  }
+  return reply.status(204).send();
+}
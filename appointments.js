@@ -0,0 +1,353 @@
+// appointments.js
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { JsonFileStore } from './jsonFileStore.js';
+import { callStore } from './callStore.js';
+import { parseTimeOfDay } from './timeOfDay.js';
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const ICS_DIR = path.join(DATA_DIR, 'appointments');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// A single plain address; no whitespace (so no CR/LF) or characters that could
+// break out of the invite's ATTENDEE line
+const EMAIL_PATTERN = /^[^\s@"<>,;:\\]+@[^\s@"<>,;:\\]+\.[A-Za-z]{2,}$/;
+
+// Weekly opening hours for valuation visits, in APPOINTMENT_TIMEZONE
+const DEFAULT_AVAILABILITY = {
+  mon: ['09:00-17:00'],
+  tue: ['09:00-17:00'],
+  wed: ['09:00-17:00'],
+  thu: ['09:00-17:00'],
+  fri: ['09:00-17:00']
+};
+
+/** `{ mon: ["09:00-12:00", ...] }` → `{ mon: [{ start, end }] }` in minutes after midnight */
+function parseAvailability(availability) {
+  return Object.fromEntries(Object.entries(availability).map(([day, ranges]) => {
+    if (!WEEKDAYS.includes(day)) throw new Error(`Invalid availability day: ${day}`);
+    return [day, ranges.map(range => {
+      const [start, end] = range.split('-').map(parseTimeOfDay);
+      if (!(end > start)) throw new Error(`Invalid availability range: ${range}`);
+      return { start, end };
+    })];
+  }));
+}
+
+const CONFIG = {
+  timezone: process.env.APPOINTMENT_TIMEZONE || 'UTC',
+  durationMinutes: parseInt(process.env.APPOINTMENT_DURATION_MINUTES || '60', 10),
+  capacity: parseInt(process.env.APPOINTMENT_CAPACITY || '1', 10), // visits that can run at once
+  minNoticeHours: parseInt(process.env.APPOINTMENT_MIN_NOTICE_HOURS || '2', 10),
+  horizonDays: parseInt(process.env.APPOINTMENT_HORIZON_DAYS || '14', 10),
+  availability: parseAvailability(
+    process.env.APPOINTMENT_AVAILABILITY ? JSON.parse(process.env.APPOINTMENT_AVAILABILITY) : DEFAULT_AVAILABILITY
+  ),
+  organizerEmail: process.env.APPOINTMENT_ORGANIZER_EMAIL
+};
+
+/** Local calendar date, weekday and offset from UTC of an instant in a timezone */
+function zonedParts(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const [year, month, day] = [parts.year, parts.month, parts.day].map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, day, Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase(),
+    offsetMs: localAsUtc - Math.floor(date.getTime() / 1000) * 1000
+  };
+}
+
+/** The instant at `minutes` past local midnight on `date` (YYYY-MM-DD) in a timezone */
+function zonedTime(date, minutes, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+  // Correct by the zone's offset, then again in case the first guess crossed a DST change
+  let instant = wallClock - zonedParts(new Date(wallClock), timezone).offsetMs;
+  instant = wallClock - zonedParts(new Date(instant), timezone).offsetMs;
+  return new Date(instant);
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function overlaps(a, b) {
+  return Date.parse(a.start) < Date.parse(b.end) && Date.parse(b.start) < Date.parse(a.end);
+}
+
+/** Escape and fold iCalendar text (RFC 5545) */
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsLine(line) {
+  const folded = [];
+  let rest = line;
+  while (rest.length > 74) {
+    folded.push(rest.slice(0, 74));
+    rest = ` ${rest.slice(74)}`;
+  }
+  folded.push(rest);
+  return folded.join('\r\n');
+}
+
+function icsDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Render an appointment as an iCalendar invite for the lead
+ */
+export function buildIcs(appointment) {
+  const cancelled = appointment.status === 'cancelled';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AutoAgentAI//Valuations//EN',
+    `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:${appointment.id}@autoagentai`,
+    `DTSTAMP:${icsDate(appointment.updatedAt || appointment.createdAt)}`,
+    `DTSTART:${icsDate(appointment.start)}`,
+    `DTEND:${icsDate(appointment.end)}`,
+    `SUMMARY:${icsText('Free property valuation')}`,
+    `LOCATION:${icsText(appointment.address)}`,
+    `DESCRIPTION:${icsText(`Valuation visit for ${appointment.name}${appointment.notes ? `\n${appointment.notes}` : ''}`)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+  if (CONFIG.organizerEmail) lines.push(`ORGANIZER:mailto:${CONFIG.organizerEmail}`);
+  if (appointment.email) lines.push(`ATTENDEE;CN=${icsText(appointment.name)};RSVP=TRUE:mailto:${appointment.email}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(icsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Valuation appointments persisted in DATA_DIR/appointments.json, with an
+ * .ics invite for each one written to DATA_DIR/appointments/
+ */
+export class AppointmentBook {
+  constructor(options = {}) {
+    this.config = { ...CONFIG, ...options.config };
+    this.store = new JsonFileStore(options.fileName || 'appointments.json', { appointments: {} });
+  }
+
+  get(id) {
+    return this.store.data.appointments[id];
+  }
+
+  /** Filters: from, to (ISO), status, callSid */
+  list({ from, to, status, callSid } = {}) {
+    return Object.values(this.store.data.appointments)
+      .filter(appointment => !from || Date.parse(appointment.end) > Date.parse(from))
+      .filter(appointment => !to || Date.parse(appointment.start) < Date.parse(to))
+      .filter(appointment => !status || appointment.status === status)
+      .filter(appointment => !callSid || appointment.callSid === callSid)
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  /** Booked appointments that would overlap a slot */
+  conflicts(slot) {
+    return this.list({ status: 'booked' }).filter(appointment => overlaps(appointment, slot));
+  }
+
+  /** Whether a slot starts on the availability grid, inside opening hours */
+  isOnGrid(start) {
+    const { date, weekday } = zonedParts(start, this.config.timezone);
+    return (this.config.availability[weekday] || []).some(range => {
+      for (let minutes = range.start; minutes + this.config.durationMinutes <= range.end; minutes += this.config.durationMinutes) {
+        if (zonedTime(date, minutes, this.config.timezone).getTime() === start.getTime()) return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Free slots from `from` (default now; a bare YYYY-MM-DD means that local
+   * day) for `days` days, respecting the minimum notice, the booking horizon
+   * and existing bookings
+   */
+  availableSlots({ from = new Date(), days = this.config.horizonDays, limit } = {}) {
+    const { timezone, durationMinutes, capacity } = this.config;
+    const fromDate = /^\d{4}-\d{2}-\d{2}$/.test(from) ? zonedTime(from, 0, timezone) : new Date(from);
+    const earliest = Math.max(Date.now() + this.config.minNoticeHours * 60 * MINUTE_MS, fromDate.getTime());
+    const latest = Date.now() + this.config.horizonDays * DAY_MS;
+    const firstDay = zonedParts(fromDate, timezone).date;
+    const slots = [];
+
+    for (let offset = 0; offset < Math.min(days, this.config.horizonDays + 1); offset++) {
+      const date = addDays(firstDay, offset);
+      const weekday = WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+
+      for (const range of this.config.availability[weekday] || []) {
+        for (let minutes = range.start; minutes + durationMinutes <= range.end; minutes += durationMinutes) {
+          const start = zonedTime(date, minutes, timezone);
+          if (start.getTime() < earliest || start.getTime() > latest) continue;
+
+          const slot = { start: start.toISOString(), end: new Date(start.getTime() + durationMinutes * MINUTE_MS).toISOString() };
+          if (this.conflicts(slot).length >= capacity) continue;
+          slots.push(slot);
+          if (limit && slots.length >= limit) return slots;
+        }
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Book a slot. `start` must be one of the available slots.
+   * @throws {Error} with `code` 'INVALID' or 'CONFLICT'
+   */
+  book({ start, name, phone, email, address, notes, callSid, source = 'api' }) {
+    const invalid = message => Object.assign(new Error(message), { code: 'INVALID' });
+    if (typeof name !== 'string' || !name.trim()) throw invalid('name is required');
+    if (typeof address !== 'string' || !address.trim()) throw invalid('address is required');
+    if (email && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+      throw invalid('email must be a valid email address');
+    }
+
+    const startDate = new Date(start);
+    if (!start || Number.isNaN(startDate.getTime())) throw invalid('start must be an ISO 8601 date-time');
+    if (startDate.getTime() < Date.now() + this.config.minNoticeHours * 60 * MINUTE_MS) {
+      throw invalid(`Appointments need at least ${this.config.minNoticeHours} hours notice`);
+    }
+    if (startDate.getTime() > Date.now() + this.config.horizonDays * DAY_MS) {
+      throw invalid(`Appointments can be booked at most ${this.config.horizonDays} days ahead`);
+    }
+    if (!this.isOnGrid(startDate)) throw invalid('start is not an available slot');
+    if (callSid && !callStore.get(callSid)) throw invalid(`Unknown callSid: ${callSid}`);
+
+    const slot = {
+      start: startDate.toISOString(),
+      end: new Date(startDate.getTime() + this.config.durationMinutes * MINUTE_MS).toISOString()
+    };
+    if (this.conflicts(slot).length >= this.config.capacity) {
+      throw Object.assign(new Error('That slot is already booked'), { code: 'CONFLICT' });
+    }
+
+    const now = new Date().toISOString();
+    const appointment = {
+      id: randomUUID(),
+      status: 'booked',
+      ...slot,
+      timezone: this.config.timezone,
+      name: name.trim(),
+      phone,
+      email: email || undefined,
+      address: address.trim(),
+      notes,
+      callSid,
+      source,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.store.data.appointments[appointment.id] = appointment;
+    this.store.save();
+    this.writeIcs(appointment);
+
+    if (callSid) callStore.recordAppointment(callSid, { appointmentId: appointment.id, start: appointment.start });
+    return appointment;
+  }
+
+  cancel(id) {
+    const appointment = this.get(id);
+    if (!appointment) return null;
+    if (appointment.status !== 'cancelled') {
+      appointment.status = 'cancelled';
+      appointment.updatedAt = new Date().toISOString();
+      this.store.save();
+      this.writeIcs(appointment);
+    }
+    return appointment;
+  }
+
+  icsPath(id) {
+    return path.join(ICS_DIR, `${id}.ics`);
+  }
+
+  writeIcs(appointment) {
+    fs.promises.mkdir(ICS_DIR, { recursive: true })
+      .then(() => fs.promises.writeFile(this.icsPath(appointment.id), buildIcs(appointment)))
+      .catch(error => console.error(`Failed to write invite for appointment ${appointment.id}:`, error));
+  }
+}
+
+export const appointmentBook = new AppointmentBook();
+
+/** GET /appointments?from&to&status&callSid */
+export async function handleListAppointments(req, reply) {
+  const appointments = appointmentBook.list(req.query);
+  return reply.send({ count: appointments.length, appointments });
+}
+
+/** GET /appointments/availability?from&days */
+export async function handleGetAvailability(req, reply) {
+  const from = req.query.from || new Date();
+  if (Number.isNaN(new Date(from).getTime())) {
+    return reply.status(400).send({ error: 'from must be an ISO 8601 date' });
+  }
+  const days = Math.max(parseInt(req.query.days, 10) || 7, 1);
+  return reply.send({
+    timezone: appointmentBook.config.timezone,
+    durationMinutes: appointmentBook.config.durationMinutes,
+    slots: appointmentBook.availableSlots({ from, days })
+  });
+}
+
+/** POST /appointments `{ start, name, address, phone?, email?, notes?, callSid? }` */
+export async function handleCreateAppointment(req, reply) {
+  try {
+    const appointment = appointmentBook.book({ ...req.body, source: 'api' });
+    req.log.info('📅 Appointment booked', { appointmentId: appointment.id, start: appointment.start, callSid: appointment.callSid });
+    return reply.status(201).send(appointment);
+  } catch (err) {
+    return reply.status(err.code === 'CONFLICT' ? 409 : 400).send({ error: err.message });
+  }
+}
+
+/** GET /appointments/:id */
+export async function handleGetAppointment(req, reply) {
+  const appointment = appointmentBook.get(req.params.id);
+  if (!appointment) {
+    return reply.status(404).send({ error: 'Appointment not found' });
+  }
+  return reply.send(appointment);
+}
+
+/** GET /appointments/:id/ics */
+export async function handleGetAppointmentIcs(req, reply) {
+  const appointment = appointmentBook.get(req.params.id);
+  if (!appointment) {
+    return reply.status(404).send({ error: 'Appointment not found' });
+  }
+  return reply
+    .type('text/calendar; charset=utf-8')
+    .header('Content-Disposition', `attachment; filename="valuation-${appointment.id}.ics"`)
+    .send(buildIcs(appointment));
+}
+
+/** DELETE /appointments/:id — cancels, keeping the record */
+export async function handleCancelAppointment(req, reply) {
+  const appointment = appointmentBook.cancel(req.params.id);
+  if (!appointment) {
+    return reply.status(404).send({ error: 'Appointment not found' });
+  }
+  return reply.send(appointment);
+}
@@ -0,0 +1,247 @@
+// audioCodec.js
+// Pure-JS audio conversions for the Twilio <-> ElevenLabs bridge:
+// G.711 mulaw/alaw, little-endian PCM16 and a streaming resampler.
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+const ALAW_SEGMENT_ENDS = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+function mulawByteToLinear(byte) {
+  const value = ~byte & 0xff;
+  const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << ((value & 0x70) >> 4)) - MULAW_BIAS;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+function linearToMulawByte(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function alawByteToLinear(byte) {
+  const value = byte ^ 0x55;
+  const segment = (value & 0x70) >> 4;
+  let magnitude = (value & 0x0f) << 4;
+  if (segment === 0) {
+    magnitude += 8;
+  } else {
+    magnitude = (magnitude + 0x108) << (segment - 1);
+  }
+  return value & 0x80 ? magnitude : -magnitude;
+}
+
+function linearToAlawByte(sample) {
+  let value = sample >> 3;
+  let mask;
+  if (value >= 0) {
+    mask = 0xd5;
+  } else {
+    mask = 0x55;
+    value = -value - 1;
+  }
+
+  const segment = ALAW_SEGMENT_ENDS.findIndex(end => value <= end);
+  if (segment === -1) return 0x7f ^ mask;
+
+  const mantissa = segment < 2 ? (value >> 1) & 0x0f : (value >> segment) & 0x0f;
+  return ((segment << 4) | mantissa) ^ mask;
+}
+
+const MULAW_DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) => mulawByteToLinear(byte));
+const ALAW_DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) => alawByteToLinear(byte));
+
+/** Decode mulaw bytes to 16-bit linear samples */
+export function decodeMulaw(buffer) {
+  const samples = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) samples[i] = MULAW_DECODE_TABLE[buffer[i]];
+  return samples;
+}
+
+/** Encode 16-bit linear samples as mulaw bytes */
+export function encodeMulaw(samples) {
+  const buffer = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) buffer[i] = linearToMulawByte(samples[i]);
+  return buffer;
+}
+
+/** Decode alaw bytes to 16-bit linear samples */
+export function decodeAlaw(buffer) {
+  const samples = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) samples[i] = ALAW_DECODE_TABLE[buffer[i]];
+  return samples;
+}
+
+/** Encode 16-bit linear samples as alaw bytes */
+export function encodeAlaw(samples) {
+  const buffer = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) buffer[i] = linearToAlawByte(samples[i]);
+  return buffer;
+}
+
+/** Read little-endian PCM16 bytes into samples (buffer length must be even) */
+export function decodePcm16(buffer) {
+  const samples = new Int16Array(buffer.length >> 1);
+  for (let i = 0; i < samples.length; i++) samples[i] = buffer.readInt16LE(i * 2);
+  return samples;
+}
+
+/** Write samples as little-endian PCM16 bytes */
+export function encodePcm16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) buffer.writeInt16LE(samples[i], i * 2);
+  return buffer;
+}
+
+/** 44-byte WAV header for `dataLength` bytes of interleaved PCM16 */
+export function wavHeader(dataLength, { sampleRate, channels = 1 }) {
+  const blockAlign = channels * 2;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+/**
+ * Parse an ElevenLabs audio format string such as `pcm_16000` or `ulaw_8000`
+ * @returns {{ encoding: string, sampleRate: number }}
+ */
+export function parseAudioFormat(format) {
+  const match = /^(pcm|ulaw|mulaw|alaw)_(\d+)$/.exec(format || '');
+  if (!match) {
+    throw new Error(`Unsupported audio format: ${format}`);
+  }
+  return {
+    encoding: match[1] === 'mulaw' ? 'ulaw' : match[1],
+    sampleRate: parseInt(match[2], 10)
+  };
+}
+
+/**
+ * Streaming linear-interpolation resampler.
+ * Interpolation position and the last input sample carry across chunks so
+ * consecutive chunks join without clicks. When downsampling, a moving-average
+ * low-pass (also carried across chunks) keeps high frequencies from aliasing.
+ */
+export class Resampler {
+  constructor(fromRate, toRate) {
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.step = fromRate / toRate;
+    this.position = 0; // next output position, in input samples relative to the chunk start
+    this.lastSample = 0; // input sample at position -1
+
+    this.taps = Math.max(1, Math.round(this.step));
+    this.history = new Int16Array(this.taps);
+    this.historyIndex = 0;
+    this.historySum = 0;
+  }
+
+  lowPass(samples) {
+    if (this.taps === 1) return samples;
+
+    const filtered = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      this.historySum += samples[i] - this.history[this.historyIndex];
+      this.history[this.historyIndex] = samples[i];
+      this.historyIndex = (this.historyIndex + 1) % this.taps;
+      filtered[i] = Math.round(this.historySum / this.taps);
+    }
+    return filtered;
+  }
+
+  /** Resample a chunk of 16-bit samples */
+  process(samples) {
+    if (this.fromRate === this.toRate || samples.length === 0) return samples;
+
+    const input = this.lowPass(samples);
+    const output = [];
+    let position = this.position;
+
+    while (position < input.length - 1) {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const current = index < 0 ? this.lastSample : input[index];
+      const next = input[index + 1];
+      output.push(Math.round(current + (next - current) * fraction));
+      position += this.step;
+    }
+
+    this.position = position - input.length;
+    this.lastSample = input[input.length - 1];
+    return Int16Array.from(output);
+  }
+}
+
+/**
+ * Converts a stream of audio chunks from one format to another,
+ * e.g. Twilio's `ulaw_8000` to an agent's `pcm_16000`.
+ */
+export class AudioTranscoder {
+  constructor(fromFormat, toFormat) {
+    this.from = parseAudioFormat(fromFormat);
+    this.to = parseAudioFormat(toFormat);
+    this.isPassthrough = fromFormat === toFormat;
+    this.resampler = new Resampler(this.from.sampleRate, this.to.sampleRate);
+    this.pendingByte = null; // odd trailing byte of a PCM16 chunk
+  }
+
+  decode(buffer) {
+    switch (this.from.encoding) {
+      case 'ulaw':
+        return decodeMulaw(buffer);
+      case 'alaw':
+        return decodeAlaw(buffer);
+      default: {
+        if (this.pendingByte) {
+          buffer = Buffer.concat([this.pendingByte, buffer]);
+          this.pendingByte = null;
+        }
+        if (buffer.length % 2) {
+          this.pendingByte = buffer.subarray(buffer.length - 1);
+          buffer = buffer.subarray(0, buffer.length - 1);
+        }
+        return decodePcm16(buffer);
+      }
+    }
+  }
+
+  encode(samples) {
+    switch (this.to.encoding) {
+      case 'ulaw':
+        return encodeMulaw(samples);
+      case 'alaw':
+        return encodeAlaw(samples);
+      default:
+        return encodePcm16(samples);
+    }
+  }
+
+  /** Convert one chunk; returns a Buffer in the target format */
+  process(buffer) {
+    if (this.isPassthrough) return buffer;
+    return this.encode(this.resampler.process(this.decode(buffer)));
+  }
+}
+
+/**
+ * Create a transcoder between two audio format strings
+ */
+export function createTranscoder(fromFormat, toFormat) {
+  return new AudioTranscoder(fromFormat, toFormat);
+}
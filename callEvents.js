@@ -0,0 +1,72 @@
+// callEvents.js
+
+// Skip events for a monitor that has this much unsent data, rather than
+// buffering without bound for a slow client
+const MONITOR_MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * In-process bus for live call events. The media stream proxy and the Twilio
+ * status handlers publish; monitors subscribe. Events are
+ * `{ type, callSid, at, ...data }`:
+ *
+ * - `stream.start`, `stream.stop`: Twilio media stream events
+ * - `call.status`: Twilio status callbacks
+ * - `amd.result`: answering machine detection results
+ * - `transcript`: a user or agent line from ElevenLabs
+ * - `tool.call`: a client tool invocation and its result
+ * - `agent.mute`: the agent was muted or unmuted for the caller
+ * - `agent.context`: a contextual update sent to the agent through the API
+ * - `error`: an error that tore down a media stream
+ */
+export class CallEventBus {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /** Subscribe to every event; returns an unsubscribe function */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  publish(type, callSid, data = {}) {
+    const event = { type, callSid, at: new Date().toISOString(), ...data };
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error(`Call event listener failed on ${type}:`, err);
+      }
+    }
+    return event;
+  }
+}
+
+export const callEvents = new CallEventBus();
+
+/**
+ * WS /monitor?callSid=CA1,CA2
+ *    Stream call events as JSON, optionally only for the given CallSids
+ */
+export function handleMonitorSocket(socket, request, log) {
+  const callSids = request.query.callSid ? new Set(String(request.query.callSid).split(',').map(sid => sid.trim())) : null;
+  log.info('👀 Monitor connected', { keyId: request.apiKey?.id, callSids: callSids && [...callSids] });
+
+  let dropped = 0;
+  const unsubscribe = callEvents.subscribe(event => {
+    if (callSids && !callSids.has(event.callSid)) return;
+    if (socket.readyState !== socket.OPEN) return;
+    if (socket.bufferedAmount > MONITOR_MAX_BUFFERED_BYTES) {
+      dropped++;
+      return;
+    }
+    socket.send(JSON.stringify(dropped ? { ...event, dropped } : event));
+    dropped = 0;
+  });
+
+  socket.on('close', () => {
+    unsubscribe();
+    log.info('👀 Monitor disconnected', { keyId: request.apiKey?.id });
+  });
+  socket.on('error', err => log.error(err, '❌ Monitor WS error'));
+}
@@ -0,0 +1,163 @@
+// callRecorder.js
+import fs from 'fs';
+import path from 'path';
+import { decodeMulaw, encodePcm16, wavHeader } from './audioCodec.js';
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+export const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+
+const SAMPLE_RATE = 8000;
+const BYTES_PER_SAMPLE = 2;
+const CHANNELS = ['caller', 'agent'];
+const INTERLEAVE_BLOCK = SAMPLE_RATE * 10; // samples per channel per write while finalizing
+
+/** Only plain Twilio SIDs map to recording files, never arbitrary paths */
+export function recordingPath(callSid) {
+  if (!/^[A-Za-z0-9]+$/.test(callSid || '')) return null;
+  return path.join(RECORDINGS_DIR, `${callSid}.wav`);
+}
+
+/**
+ * Records one call as a two-channel 8kHz PCM16 WAV: caller on the left,
+ * agent on the right. Each channel is written to its own raw file at the
+ * sample offset matching its timestamp, so gaps stay silent and the channels
+ * line up; finish() interleaves them into the final WAV.
+ */
+export class CallRecorder {
+  constructor(callSid, options = {}) {
+    this.callSid = callSid;
+    this.log = options.log || console;
+    this.filePath = recordingPath(callSid);
+    this.rawPaths = Object.fromEntries(CHANNELS.map(channel => [channel, `${this.filePath}.${channel}.raw`]));
+    this.handles = null;
+    this.lengths = { caller: 0, agent: 0 }; // bytes written per channel
+    this.queue = fs.promises.mkdir(RECORDINGS_DIR, { recursive: true })
+      .then(async () => {
+        this.handles = {};
+        for (const channel of CHANNELS) {
+          this.handles[channel] = await fs.promises.open(this.rawPaths[channel], 'w+');
+        }
+      });
+    this.failed = false;
+  }
+
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(err => {
+      if (!this.failed) this.log.error(err, '❌ Call recording error');
+      this.failed = true;
+    });
+    return this.queue;
+  }
+
+  /**
+   * Write mulaw 8kHz audio for a channel starting at `offsetMs` into the call
+   */
+  write(channel, mulaw, offsetMs) {
+    if (this.failed || mulaw.length === 0) return;
+    const pcm = encodePcm16(decodeMulaw(mulaw));
+    const position = Math.max(0, Math.round(offsetMs * SAMPLE_RATE / 1000)) * BYTES_PER_SAMPLE;
+    this.lengths[channel] = Math.max(this.lengths[channel], position + pcm.length);
+    this.enqueue(() => this.handles[channel].write(pcm, 0, pcm.length, position));
+  }
+
+  /** Silence a channel from `offsetMs` on, e.g. agent audio cleared before it played */
+  truncate(channel, offsetMs) {
+    const position = Math.max(0, Math.round(offsetMs * SAMPLE_RATE / 1000)) * BYTES_PER_SAMPLE;
+    if (position >= this.lengths[channel]) return;
+    this.lengths[channel] = position;
+    this.enqueue(() => this.handles[channel].truncate(position));
+  }
+
+  /** Interleave both channels into the final WAV and remove the raw files */
+  async finish() {
+    await this.enqueue(async () => {
+      const samples = Math.max(...CHANNELS.map(channel => this.lengths[channel])) / BYTES_PER_SAMPLE;
+      const output = await fs.promises.open(this.filePath, 'w');
+
+      try {
+        await output.write(wavHeader(samples * CHANNELS.length * BYTES_PER_SAMPLE, { sampleRate: SAMPLE_RATE, channels: CHANNELS.length }));
+
+        for (let start = 0; start < samples; start += INTERLEAVE_BLOCK) {
+          const count = Math.min(INTERLEAVE_BLOCK, samples - start);
+          const blocks = {};
+          for (const channel of CHANNELS) {
+            blocks[channel] = Buffer.alloc(count * BYTES_PER_SAMPLE);
+            await this.handles[channel].read(blocks[channel], 0, blocks[channel].length, start * BYTES_PER_SAMPLE);
+          }
+
+          const frame = Buffer.alloc(count * CHANNELS.length * BYTES_PER_SAMPLE);
+          for (let i = 0; i < count; i++) {
+            CHANNELS.forEach((channel, c) => {
+              blocks[channel].copy(frame, (i * CHANNELS.length + c) * BYTES_PER_SAMPLE, i * BYTES_PER_SAMPLE, (i + 1) * BYTES_PER_SAMPLE);
+            });
+          }
+          await output.write(frame);
+        }
+      } finally {
+        await output.close();
+      }
+
+      this.durationMs = Math.round(samples * 1000 / SAMPLE_RATE);
+    });
+
+    await this.enqueue(async () => {
+      for (const channel of CHANNELS) {
+        await this.handles[channel].close();
+        await fs.promises.unlink(this.rawPaths[channel]);
+      }
+    });
+
+    if (!this.failed) {
+      this.log.info('💾 Call recording saved', { callSid: this.callSid, filePath: this.filePath, durationMs: this.durationMs });
+    }
+    return !this.failed;
+  }
+}
+
+/**
+ * Delete recordings older than the retention period
+ */
+export async function pruneRecordings(retentionDays, log = console) {
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  let files;
+  try {
+    files = await fs.promises.readdir(RECORDINGS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+
+  let removed = 0;
+  for (const file of files) {
+    const filePath = path.join(RECORDINGS_DIR, file);
+    const stats = await fs.promises.stat(filePath);
+    if (stats.mtimeMs < cutoff) {
+      await fs.promises.unlink(filePath);
+      removed++;
+    }
+  }
+  if (removed) log.info(`🧹 Deleted ${removed} recordings older than ${retentionDays} days`);
+  return removed;
+}
+
+/**
+ * Run the retention sweep now and then hourly
+ */
+export function startRecordingRetention(retentionDays, log = console) {
+  const sweep = () => pruneRecordings(retentionDays, log)
+    .catch(err => log.error(err, '❌ Recording retention sweep failed'));
+  sweep();
+  setInterval(sweep, 60 * 60 * 1000).unref();
+}
+
+/** GET /calls/:sid/recording */
+export async function handleGetRecording(req, reply) {
+  const filePath = recordingPath(req.params.sid);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return reply.status(404).send({ error: 'Recording not found' });
+  }
+  return reply
+    .type('audio/wav')
+    .header('Content-Disposition', `attachment; filename="${req.params.sid}.wav"`)
+    .send(fs.createReadStream(filePath));
+}
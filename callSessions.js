@@ -0,0 +1,51 @@
+// callSessions.js
+
+/**
+ * Media stream sessions currently live, by CallSid and by StreamSid. Each
+ * session is registered by the media stream proxy when Twilio sends `start`
+ * and exposes the controls other parts of the app need:
+ *
+ * - `describe()`: a snapshot of the session for GET /calls/active
+ * - `beginHandoff()` / `abortHandoff()`: stop the agent before the call is redirected
+ * - `setAgentMuted(muted)`: stop (or resume) playing agent audio to the caller
+ * - `agentConnected`: whether the ElevenLabs session is open
+ * - `sendContext(text)`, `say(text)`: steer the live conversation
+ * - `close()`: close the ElevenLabs and Twilio sockets
+ */
+export class CallSessionRegistry {
+  constructor() {
+    this.byCallSid = new Map();
+    this.byStreamSid = new Map();
+  }
+
+  register(session) {
+    this.byCallSid.set(session.callSid, session);
+    if (session.streamSid) this.byStreamSid.set(session.streamSid, session);
+    return session;
+  }
+
+  /** Remove a session, unless a newer stream for the call has replaced it */
+  unregister(session) {
+    if (this.byCallSid.get(session.callSid) === session) this.byCallSid.delete(session.callSid);
+    if (this.byStreamSid.get(session.streamSid) === session) this.byStreamSid.delete(session.streamSid);
+  }
+
+  /** The live session for a CallSid or a StreamSid */
+  get(sid) {
+    return this.byCallSid.get(sid) || this.byStreamSid.get(sid);
+  }
+
+  list() {
+    return [...this.byCallSid.values()];
+  }
+}
+
+export const callSessions = new CallSessionRegistry();
+
+/** GET /calls/active */
+export async function handleListActiveCalls(req, reply) {
+  const calls = callSessions.list()
+    .map(session => session.describe())
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  return reply.send({ count: calls.length, calls });
+}
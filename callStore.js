@@ -0,0 +1,244 @@
+// callStore.js
+import fs from 'fs';
+import path from 'path';
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+/**
+ * Local call store keyed by CallSid.
+ * Every change is appended to a JSONL log and replayed into memory on startup,
+ * so records survive restarts without needing a database.
+ */
+export class CallStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(DATA_DIR, 'calls.jsonl');
+    this.calls = new Map();
+    this.transcripts = new Map(); // callSid -> [{ speaker, text, at, offsetMs }]
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        console.error('Skipping corrupt call store entry:', error.message);
+      }
+    }
+  }
+
+  /** Append an entry to the log and apply it to the in-memory record */
+  append(callSid, type, data = {}) {
+    const entry = { callSid, type, at: new Date().toISOString(), data };
+    const record = this.apply(entry);
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n'))
+      .catch(error => console.error('Failed to write call store entry:', error));
+
+    return record;
+  }
+
+  apply({ callSid, type, at, data }) {
+    let record = this.calls.get(callSid);
+    if (!record) {
+      record = { callSid, createdAt: at, updatedAt: at, status: null, transitions: [] };
+      this.calls.set(callSid, record);
+    }
+    record.updatedAt = at;
+
+    switch (type) {
+      case 'created':
+        Object.assign(record, data);
+        break;
+
+      case 'status': {
+        const { status, duration, timestamp, ...details } = data;
+        record.transitions.push({ status, at, timestamp });
+        record.status = status;
+        for (const [key, value] of Object.entries(details)) {
+          if (value !== undefined && record[key] === undefined) record[key] = value;
+        }
+        if (status === 'in-progress' && !record.answeredAt) record.answeredAt = at;
+        if (duration !== undefined) {
+          record.duration = Number(duration);
+          record.endedAt = at;
+        }
+        break;
+      }
+
+      case 'amd':
+        record.answeredBy = data.answeredBy;
+        record.amdAction = data.action;
+        record.amdAt = at;
+        break;
+
+      case 'conversation':
+        record.conversationId = data.conversationId;
+        break;
+
+      case 'turn': {
+        const turns = this.transcripts.get(callSid) || [];
+        turns.push({ ...data, at });
+        this.transcripts.set(callSid, turns);
+        record.turnCount = turns.length;
+        break;
+      }
+
+      case 'turn_correction': {
+        // ElevenLabs corrects the last agent response when the caller interrupts it
+        const turns = this.transcripts.get(callSid) || [];
+        const turn = [...turns].reverse().find(t => t.speaker === 'agent' && t.text === data.original);
+        if (turn) {
+          turn.text = data.corrected;
+          turn.interrupted = true;
+        }
+        break;
+      }
+
+      case 'tool_call':
+        (record.toolCalls ||= []).push({ ...data, at });
+        break;
+
+      case 'appointment':
+        (record.appointments ||= []).push({ ...data, at });
+        break;
+
+      case 'injection':
+        (record.injections ||= []).push({ ...data, at });
+        break;
+
+      default:
+        // Unknown entry types are kept so newer logs still load
+        record[type] = data;
+    }
+
+    return record;
+  }
+
+  recordCreated(callSid, details) {
+    return this.append(callSid, 'created', details);
+  }
+
+  recordStatus(callSid, { status, duration, timestamp, direction, from, to }) {
+    return this.append(callSid, 'status', { status, duration, timestamp, direction, from, to });
+  }
+
+  recordAmd(callSid, answeredBy, action) {
+    return this.append(callSid, 'amd', { answeredBy, action });
+  }
+
+  recordConversation(callSid, conversationId) {
+    return this.append(callSid, 'conversation', { conversationId });
+  }
+
+  /** Add a transcript turn; speaker is 'user' or 'agent' */
+  recordTurn(callSid, { speaker, text, offsetMs }) {
+    return this.append(callSid, 'turn', { speaker, text, offsetMs });
+  }
+
+  recordTurnCorrection(callSid, original, corrected) {
+    return this.append(callSid, 'turn_correction', { original, corrected });
+  }
+
+  recordRecording(callSid, { file, durationMs }) {
+    return this.append(callSid, 'recording', { file, durationMs });
+  }
+
+  /** Handoff to a human; `status` is 'transferring' or 'failed' */
+  recordTransfer(callSid, { to, queue, reason, requestedBy, status, error }) {
+    return this.append(callSid, 'transfer', { to, queue, reason, requestedBy, status, error });
+  }
+
+  /** Hung up through the API rather than by either party */
+  recordHangup(callSid, { requestedBy, keyId }) {
+    return this.append(callSid, 'hangup', { requestedBy, keyId });
+  }
+
+  /** Context or speech injected into the live conversation; `kind` is 'context' or 'say' */
+  recordInjection(callSid, { kind, text, requestedBy, keyId }) {
+    return this.append(callSid, 'injection', { kind, text, requestedBy, keyId });
+  }
+
+  /** A client tool invocation by the agent, with its result or error */
+  recordToolCall(callSid, { toolCallId, name, parameters, result, error, durationMs }) {
+    return this.append(callSid, 'tool_call', { toolCallId, name, parameters, result, error, durationMs });
+  }
+
+  /** An appointment booked during (or for) the call */
+  recordAppointment(callSid, { appointmentId, start }) {
+    return this.append(callSid, 'appointment', { appointmentId, start });
+  }
+
+  /** Conversational latency for the call's media stream (TurnLatencyTracker summary) */
+  recordLatency(callSid, latency) {
+    return this.append(callSid, 'latency', latency);
+  }
+
+  getTranscript(callSid) {
+    return this.transcripts.get(callSid) || [];
+  }
+
+  get(callSid) {
+    return this.calls.get(callSid);
+  }
+
+  /**
+   * List calls, newest first.
+   * Filters: status, answeredBy, answered, to, from, campaignId, since, until, limit
+   */
+  list(filters = {}) {
+    const { status, answeredBy, answered, to, from, campaignId, since, until } = filters;
+    const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+
+    return [...this.calls.values()]
+      .filter(call => !status || call.status === status)
+      .filter(call => !answeredBy || call.answeredBy === answeredBy)
+      .filter(call => answered === undefined || Boolean(call.answeredAt) === (answered === 'true' || answered === true))
+      .filter(call => !to || call.to === to)
+      .filter(call => !from || call.from === from)
+      .filter(call => !campaignId || call.campaignId === campaignId)
+      .filter(call => sinceTime === null || Date.parse(call.createdAt) >= sinceTime)
+      .filter(call => untilTime === null || Date.parse(call.createdAt) < untilTime)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+}
+
+export const callStore = new CallStore();
+
+/** GET /calls */
+export async function handleListCalls(req, reply) {
+  const calls = callStore.list(req.query);
+  return reply.send({ count: calls.length, calls });
+}
+
+/** GET /calls/:sid */
+export async function handleGetCall(req, reply) {
+  const call = callStore.get(req.params.sid);
+  if (!call) {
+    return reply.status(404).send({ error: 'Call not found' });
+  }
+  return reply.send(call);
+}
+
+/** GET /calls/:sid/transcript */
+export async function handleGetTranscript(req, reply) {
+  const call = callStore.get(req.params.sid);
+  if (!call) {
+    return reply.status(404).send({ error: 'Call not found' });
+  }
+  return reply.send({
+    callSid: call.callSid,
+    conversationId: call.conversationId,
+    turns: callStore.getTranscript(call.callSid)
+  });
+}
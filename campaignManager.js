@@ -0,0 +1,345 @@
+// campaignManager.js
+import { randomUUID } from 'crypto';
+import { placeOutboundCall, onCallStatus, countOutboundCallsInFlight, FINAL_CALL_STATUSES } from './twilioHandler.js';
+import { ComplianceError, COMPLIANCE_REASONS } from './compliance.js';
+import { validateAmdPolicy } from './amdPolicy.js';
+import { agentProfiles } from './agentProfiles.js';
+import { parseContactsCsv } from './contactsCsv.js';
+import { normalizeNumber } from './phoneNumbers.js';
+
+const DEFAULT_CALLS_PER_MINUTE = 10;
+const DEFAULT_MAX_CONCURRENT = 2;
+const MAX_CALLS_PER_MINUTE = 60;
+// Caps each campaign's maxConcurrent, and every outbound call in flight at once
+const MAX_CONCURRENT_LIMIT = parseInt(process.env.CAMPAIGN_MAX_CONCURRENT || '10', 10);
+
+// Contacts outside their local calling hours are retried after this long
+const CALLING_WINDOW_RETRY_MS = 15 * 60 * 1000;
+
+/**
+ * Dials campaign contacts through placeOutboundCall while respecting
+ * calls-per-minute pacing, a concurrency cap per campaign and one shared by
+ * every outbound call (other campaigns and /start-call included).
+ */
+export class CampaignManager {
+  constructor(options = {}) {
+    this.placeCall = options.placeCall || placeOutboundCall;
+    this.countInFlight = options.countInFlight || countOutboundCallsInFlight;
+    this.dialing = 0; // placeCall requests not yet answered by Twilio, across campaigns
+    this.campaigns = new Map();
+    this.callIndex = new Map(); // callSid -> { campaign, contact }
+    this.inFlightNumbers = new Set(); // numbers currently being dialed by any campaign
+  }
+
+  create({ contacts, callsPerMinute, maxConcurrent, amdPolicy, voicemailMessage, agentProfile, agent = {}, host, log }) {
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      throw new Error('At least one contact is required');
+    }
+    validateAmdPolicy(amdPolicy);
+
+    const campaign = {
+      id: randomUUID(),
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      callsPerMinute: Math.min(Math.max(Number(callsPerMinute) || DEFAULT_CALLS_PER_MINUTE, 1), MAX_CALLS_PER_MINUTE),
+      maxConcurrent: Math.min(Math.max(Number(maxConcurrent) || DEFAULT_MAX_CONCURRENT, 1), MAX_CONCURRENT_LIMIT),
+      amdPolicy,
+      voicemailMessage,
+      agentProfile,
+      agent,
+      host,
+      contacts: [],
+      timer: null,
+      log
+    };
+
+    const seen = new Set();
+    for (const entry of contacts) {
+      // Every other contact field (name, property address, ...) becomes a
+      // dynamic variable for the agent on that contact's call
+      const { to, phone, timezone, dynamicVariables = {}, ...fields } = typeof entry === 'string' ? { to: entry } : entry;
+      const variables = Object.fromEntries(
+        Object.entries({ ...fields, ...dynamicVariables })
+          .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+      );
+      const contact = { to: normalizeNumber(to || phone), timezone: timezone || undefined, dynamicVariables: variables };
+
+      if (!contact.to) {
+        campaign.contacts.push({ ...contact, status: 'skipped', error: 'missing phone number' });
+      } else if (seen.has(contact.to)) {
+        campaign.contacts.push({ ...contact, status: 'skipped', error: 'duplicate number' });
+      } else {
+        seen.add(contact.to);
+        campaign.contacts.push({ ...contact, status: 'pending', callSid: null });
+      }
+    }
+
+    this.campaigns.set(campaign.id, campaign);
+    log.info('📋 Campaign created', {
+      campaignId: campaign.id,
+      contacts: campaign.contacts.length,
+      callsPerMinute: campaign.callsPerMinute,
+      maxConcurrent: campaign.maxConcurrent
+    });
+
+    this.schedule(campaign);
+    return campaign;
+  }
+
+  get(id) {
+    return this.campaigns.get(id);
+  }
+
+  list() {
+    return [...this.campaigns.values()];
+  }
+
+  pause(campaign) {
+    if (campaign.status !== 'running') return false;
+    campaign.status = 'paused';
+    this.unschedule(campaign);
+    campaign.log.info('⏸️ Campaign paused', { campaignId: campaign.id });
+    return true;
+  }
+
+  resume(campaign) {
+    if (campaign.status !== 'paused') return false;
+    campaign.status = 'running';
+    this.schedule(campaign);
+    campaign.log.info('▶️ Campaign resumed', { campaignId: campaign.id });
+    return true;
+  }
+
+  cancel(campaign) {
+    if (['cancelled', 'completed'].includes(campaign.status)) return false;
+    campaign.status = 'cancelled';
+    this.unschedule(campaign);
+    for (const contact of campaign.contacts) {
+      if (contact.status === 'pending') contact.status = 'cancelled';
+    }
+    campaign.log.info('⏹️ Campaign cancelled', { campaignId: campaign.id });
+    return true;
+  }
+
+  schedule(campaign) {
+    this.unschedule(campaign);
+    const interval = Math.ceil(60000 / campaign.callsPerMinute);
+    campaign.timer = setInterval(() => this.tick(campaign), interval);
+    this.tick(campaign);
+  }
+
+  unschedule(campaign) {
+    if (campaign.timer) clearInterval(campaign.timer);
+    campaign.timer = null;
+  }
+
+  activeCount(campaign) {
+    return campaign.contacts.filter(c => ['dialing', 'in-progress'].includes(c.status)).length;
+  }
+
+  /** Campaign persona with the contact's fields layered over its dynamic variables */
+  contactAgent(campaign, contact) {
+    const dynamicVariables = { ...campaign.agent.dynamicVariables, ...contact.dynamicVariables };
+    return Object.keys(dynamicVariables).length ? { ...campaign.agent, dynamicVariables } : campaign.agent;
+  }
+
+  /** Place at most one call per tick so calls-per-minute is honoured */
+  async tick(campaign) {
+    if (campaign.status !== 'running') return;
+
+    const pending = campaign.contacts.filter(c => c.status === 'pending');
+    if (pending.length === 0) {
+      if (this.activeCount(campaign) === 0) this.complete(campaign);
+      return;
+    }
+
+    if (this.activeCount(campaign) >= campaign.maxConcurrent) return;
+    if (this.countInFlight() + this.dialing >= MAX_CONCURRENT_LIMIT) return;
+
+    // Skip numbers another campaign is dialing right now, and contacts waiting
+    // for their calling window; retry them on a later tick
+    const now = Date.now();
+    const contact = pending.find(c => !this.inFlightNumbers.has(c.to) && !(c.deferredUntil > now));
+    if (!contact) return;
+
+    contact.status = 'dialing';
+    contact.attemptedAt = new Date().toISOString();
+    this.inFlightNumbers.add(contact.to);
+    this.dialing++;
+
+    try {
+      const call = await this.placeCall({
+        to: contact.to,
+        host: campaign.host,
+        log: campaign.log,
+        request: { to: contact.to, dynamicVariables: contact.dynamicVariables },
+        campaignId: campaign.id,
+        amdPolicy: campaign.amdPolicy,
+        voicemailMessage: campaign.voicemailMessage,
+        agentProfile: campaign.agentProfile,
+        agent: this.contactAgent(campaign, contact),
+        timezone: contact.timezone
+      });
+      contact.callSid = call.sid;
+      delete contact.deferredUntil;
+      delete contact.reasonCode;
+      delete contact.error;
+      this.callIndex.set(call.sid, { campaign, contact });
+      campaign.log.info('✅ Campaign call initiated', { campaignId: campaign.id, to: contact.to, callSid: call.sid });
+    } catch (err) {
+      this.inFlightNumbers.delete(contact.to);
+
+      if (err instanceof ComplianceError) {
+        contact.reasonCode = err.code;
+        contact.error = err.message;
+        if (err.code === COMPLIANCE_REASONS.OUTSIDE_CALLING_WINDOW) {
+          contact.status = 'pending';
+          contact.deferredUntil = now + CALLING_WINDOW_RETRY_MS;
+        } else {
+          contact.status = 'blocked';
+        }
+        campaign.log.warn('🚫 Campaign call blocked by compliance rules', { campaignId: campaign.id, to: contact.to, code: err.code });
+        return;
+      }
+
+      contact.status = 'failed';
+      contact.error = err.message;
+      campaign.log.error(err, '❌ Campaign call initiation failed');
+    } finally {
+      this.dialing--;
+    }
+  }
+
+  complete(campaign) {
+    campaign.status = 'completed';
+    campaign.completedAt = new Date().toISOString();
+    this.unschedule(campaign);
+    campaign.log.info('🏁 Campaign completed', { campaignId: campaign.id });
+  }
+
+  /** Fed from /call-status so finished calls release their concurrency slot */
+  handleCallStatus({ CallSid, CallStatus, CallDuration }) {
+    const entry = this.callIndex.get(CallSid);
+    if (!entry) return;
+
+    const { campaign, contact } = entry;
+    contact.callStatus = CallStatus;
+
+    if (FINAL_CALL_STATUSES.includes(CallStatus)) {
+      contact.status = CallStatus === 'completed' ? 'completed' : 'failed';
+      contact.duration = CallDuration ? Number(CallDuration) : undefined;
+      this.inFlightNumbers.delete(contact.to);
+      this.callIndex.delete(CallSid);
+      this.tick(campaign);
+    } else if (CallStatus === 'in-progress') {
+      contact.status = 'in-progress';
+    }
+  }
+
+  summarize(campaign) {
+    const progress = {};
+    for (const contact of campaign.contacts) {
+      progress[contact.status] = (progress[contact.status] || 0) + 1;
+    }
+
+    return {
+      id: campaign.id,
+      status: campaign.status,
+      createdAt: campaign.createdAt,
+      completedAt: campaign.completedAt,
+      callsPerMinute: campaign.callsPerMinute,
+      maxConcurrent: campaign.maxConcurrent,
+      amdPolicy: campaign.amdPolicy,
+      agentProfile: campaign.agentProfile,
+      agent: campaign.agent,
+      total: campaign.contacts.length,
+      progress,
+      contacts: campaign.contacts
+    };
+  }
+}
+
+export const campaignManager = new CampaignManager();
+onCallStatus(status => campaignManager.handleCallStatus(status));
+
+/**
+ * POST /campaigns
+ *    JSON body `{ contacts, callsPerMinute, maxConcurrent, agent, amdPolicy, voicemailMessage }`
+ *    plus persona options (see agentPersona.js) layered over the `agent`
+ *    profile, or a text/csv upload with the
+ *    same options in the query string
+ */
+export async function handleCreateCampaign(req, reply) {
+  let contacts;
+  let options;
+
+  try {
+    if (typeof req.body === 'string') {
+      contacts = parseContactsCsv(req.body);
+      options = req.query;
+    } else {
+      const body = req.body || {};
+      contacts = body.csv ? parseContactsCsv(body.csv) : body.contacts;
+      options = body;
+    }
+
+    const resolved = agentProfiles.resolve(options.agent, {
+      ...options,
+      amdPolicy: typeof options.amdPolicy === 'string' ? JSON.parse(options.amdPolicy) : options.amdPolicy,
+      dynamicVariables: typeof options.dynamicVariables === 'string'
+        ? JSON.parse(options.dynamicVariables)
+        : options.dynamicVariables
+    });
+
+    const campaign = campaignManager.create({
+      contacts,
+      callsPerMinute: options.callsPerMinute,
+      maxConcurrent: options.maxConcurrent,
+      amdPolicy: resolved.amdPolicy,
+      voicemailMessage: resolved.voicemailMessage,
+      agentProfile: resolved.profileName,
+      agent: resolved.agent,
+      host: req.headers.host,
+      log: req.log
+    });
+
+    return reply.status(201).send(campaignManager.summarize(campaign));
+  } catch (err) {
+    req.log.warn('⚠️ Campaign rejected', { error: err.message });
+    return reply.status(400).send({ error: err.message });
+  }
+}
+
+export async function handleListCampaigns(req, reply) {
+  return reply.send({
+    campaigns: campaignManager.list().map(campaign => {
+      const { contacts, ...summary } = campaignManager.summarize(campaign);
+      return summary;
+    })
+  });
+}
+
+export async function handleGetCampaign(req, reply) {
+  const campaign = campaignManager.get(req.params.id);
+  if (!campaign) {
+    return reply.status(404).send({ error: 'Campaign not found' });
+  }
+  return reply.send(campaignManager.summarize(campaign));
+}
+
+/** POST /campaigns/:id/(pause|resume|cancel) */
+export function campaignActionHandler(action) {
+  return async function (req, reply) {
+    const campaign = campaignManager.get(req.params.id);
+    if (!campaign) {
+      return reply.status(404).send({ error: 'Campaign not found' });
+    }
+
+    if (!campaignManager[action](campaign)) {
+      return reply.status(409).send({ error: `Cannot ${action} a ${campaign.status} campaign` });
+    }
+
+    const { contacts, ...summary } = campaignManager.summarize(campaign);
+    return reply.send(summary);
+  };
+}
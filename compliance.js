@@ -0,0 +1,220 @@
+// compliance.js
+import { JsonFileStore } from './jsonFileStore.js';
+import { callStore } from './callStore.js';
+import { parseContactsCsv } from './contactsCsv.js';
+import { timezonesForNumber } from './phoneTimezones.js';
+import { normalizeNumber } from './phoneNumbers.js';
+import { parseTimeOfDay } from './timeOfDay.js';
+
+// Reason codes returned when an outbound call is blocked
+export const COMPLIANCE_REASONS = {
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  DO_NOT_CALL: 'DO_NOT_CALL',
+  TIMEZONE_UNKNOWN: 'TIMEZONE_UNKNOWN',
+  OUTSIDE_CALLING_WINDOW: 'OUTSIDE_CALLING_WINDOW',
+  DAILY_CAP_REACHED: 'DAILY_CAP_REACHED',
+  WEEKLY_CAP_REACHED: 'WEEKLY_CAP_REACHED'
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { CALLING_WINDOW_START = '09:00', CALLING_WINDOW_END = '20:00' } = process.env;
+const CALLING_WINDOW = {
+  start: parseTimeOfDay(CALLING_WINDOW_START),
+  end: parseTimeOfDay(CALLING_WINDOW_END),
+  days: (process.env.CALLING_DAYS || 'mon,tue,wed,thu,fri,sat').split(',').map(day => day.trim().toLowerCase())
+};
+for (const day of CALLING_WINDOW.days) {
+  if (!WEEKDAYS.includes(day)) throw new Error(`Invalid CALLING_DAYS entry: ${day}`);
+}
+
+// 0 disables a cap
+const MAX_ATTEMPTS_PER_DAY = parseInt(process.env.MAX_CALL_ATTEMPTS_PER_DAY || '2', 10);
+const MAX_ATTEMPTS_PER_WEEK = parseInt(process.env.MAX_CALL_ATTEMPTS_PER_WEEK || '5', 10);
+
+/**
+ * Thrown when a call fails the compliance gate; `code` is one of
+ * COMPLIANCE_REASONS
+ */
+export class ComplianceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ComplianceError';
+    this.code = code;
+  }
+}
+
+/**
+ * Do-not-call list persisted in DATA_DIR/dnc.json
+ */
+export class DoNotCallList {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.fileName || 'dnc.json', { numbers: {} });
+  }
+
+  has(number) {
+    return Boolean(this.store.data.numbers[normalizeNumber(number)]);
+  }
+
+  list() {
+    return Object.values(this.store.data.numbers);
+  }
+
+  /** Add numbers, returning how many were new */
+  add(numbers, { reason, source = 'api' } = {}) {
+    const addedAt = new Date().toISOString();
+    let added = 0;
+    for (const raw of numbers) {
+      const number = normalizeNumber(raw);
+      if (!number || this.store.data.numbers[number]) continue;
+      this.store.data.numbers[number] = { number, reason, source, addedAt };
+      added++;
+    }
+    if (added) this.store.save();
+    return added;
+  }
+
+  remove(number) {
+    const key = normalizeNumber(number);
+    if (!this.store.data.numbers[key]) return false;
+    delete this.store.data.numbers[key];
+    this.store.save();
+    return true;
+  }
+}
+
+export const doNotCallList = new DoNotCallList();
+
+/** Local day of week and minutes after midnight in a timezone */
+function localTime(now, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+function isWithinCallingWindow(now, timezone) {
+  const { day, minutes } = localTime(now, timezone);
+  return CALLING_WINDOW.days.includes(day) &&
+    minutes >= CALLING_WINDOW.start &&
+    minutes < CALLING_WINDOW.end;
+}
+
+function countOutboundAttempts(number, since) {
+  return callStore
+    .list({ to: number, since: since.toISOString(), limit: 1000 })
+    .filter(call => call.direction !== 'inbound')
+    .length;
+}
+
+/**
+ * Check an outbound call against the do-not-call list, the destination's
+ * local calling window and the per-number attempt caps. The call must be
+ * inside the window in every timezone derived from the number (an area code
+ * can span several) and in `timezone` (IANA) when given; `timezone` alone is
+ * used only when the number's timezone can't be derived.
+ * @throws {ComplianceError} with the reason the call is not allowed
+ */
+export function assertCallAllowed(to, { timezone, now = new Date() } = {}) {
+  const number = normalizeNumber(to);
+  if (!/^\+\d{7,15}$/.test(number)) {
+    throw new ComplianceError(COMPLIANCE_REASONS.INVALID_NUMBER, `${to} is not an E.164 phone number`);
+  }
+
+  if (doNotCallList.has(number)) {
+    throw new ComplianceError(COMPLIANCE_REASONS.DO_NOT_CALL, `${number} is on the do-not-call list`);
+  }
+
+  // A given timezone can only narrow the window, never move it
+  const timezones = [...new Set([...timezonesForNumber(number), ...(timezone ? [timezone] : [])])];
+  if (timezones.length === 0) {
+    throw new ComplianceError(
+      COMPLIANCE_REASONS.TIMEZONE_UNKNOWN,
+      `Cannot determine the local timezone for ${number}; pass a timezone explicitly`
+    );
+  }
+  for (const zone of timezones) {
+    let allowed;
+    try {
+      allowed = isWithinCallingWindow(now, zone);
+    } catch {
+      throw new ComplianceError(COMPLIANCE_REASONS.TIMEZONE_UNKNOWN, `Unknown timezone: ${zone}`);
+    }
+    if (!allowed) {
+      throw new ComplianceError(
+        COMPLIANCE_REASONS.OUTSIDE_CALLING_WINDOW,
+        `It is outside calling hours in ${zone} (${CALLING_WINDOW_START}-${CALLING_WINDOW_END}, ${CALLING_WINDOW.days.join(', ')})`
+      );
+    }
+  }
+
+  if (MAX_ATTEMPTS_PER_DAY > 0 && countOutboundAttempts(number, new Date(now - DAY_MS)) >= MAX_ATTEMPTS_PER_DAY) {
+    throw new ComplianceError(
+      COMPLIANCE_REASONS.DAILY_CAP_REACHED,
+      `${number} has already been called ${MAX_ATTEMPTS_PER_DAY} times in the last 24 hours`
+    );
+  }
+  if (MAX_ATTEMPTS_PER_WEEK > 0 && countOutboundAttempts(number, new Date(now - 7 * DAY_MS)) >= MAX_ATTEMPTS_PER_WEEK) {
+    throw new ComplianceError(
+      COMPLIANCE_REASONS.WEEKLY_CAP_REACHED,
+      `${number} has already been called ${MAX_ATTEMPTS_PER_WEEK} times in the last 7 days`
+    );
+  }
+}
+
+/** GET /dnc */
+export async function handleListDoNotCall(req, reply) {
+  const numbers = doNotCallList.list();
+  return reply.send({ count: numbers.length, numbers });
+}
+
+/**
+ * POST /dnc
+ *    JSON `{ numbers: [...], reason }` (or `{ number }`), or a text/csv
+ *    upload with a `to` or `phone` column
+ */
+export async function handleAddDoNotCall(req, reply) {
+  let numbers;
+  let reason;
+  try {
+    if (typeof req.body === 'string') {
+      numbers = parseContactsCsv(req.body).map(contact => contact.to);
+      reason = req.query.reason;
+    } else {
+      const body = req.body || {};
+      numbers = body.csv ? parseContactsCsv(body.csv).map(contact => contact.to) : body.numbers || [body.number];
+      reason = body.reason;
+    }
+  } catch (err) {
+    return reply.status(400).send({ error: err.message });
+  }
+
+  if (!Array.isArray(numbers) || !numbers.some(Boolean)) {
+    return reply.status(400).send({ error: 'At least one number is required' });
+  }
+
+  const added = doNotCallList.add(numbers, {
+    reason,
+    source: typeof req.body === 'string' || req.body?.csv ? 'csv' : 'api'
+  });
+  req.log.info('📵 Do-not-call numbers added', { added });
+  return reply.status(201).send({ added, total: doNotCallList.list().length });
+}
+
+/** DELETE /dnc/:number */
+export async function handleRemoveDoNotCall(req, reply) {
+  if (!doNotCallList.remove(req.params.number)) {
+    return reply.status(404).send({ error: 'Number not on the do-not-call list' });
+  }
+  return reply.status(204).send();
+}
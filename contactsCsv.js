@@ -0,0 +1,61 @@
+// contactsCsv.js
+
+/**
+ * Parse a CSV contact list. The header row must contain a `to` or `phone`
+ * column; every other column is kept on the contact as-is.
+ */
+export function parseContactsCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim()));
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  const phoneColumn = columns.findIndex(name => ['to', 'phone'].includes(name.toLowerCase()));
+  if (phoneColumn === -1) {
+    throw new Error('CSV must have a "to" or "phone" column');
+  }
+
+  return records.map(record => {
+    const contact = {};
+    columns.forEach((name, index) => {
+      if (index !== phoneColumn && name) contact[name] = (record[index] || '').trim();
+    });
+    contact.to = (record[phoneColumn] || '').trim();
+    return contact;
+  });
+}
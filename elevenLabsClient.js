@@ -2,19 +2,42 @@ import https from 'https';
 
 const { ELEVENLABS_API_KEY, ELEVENLABS_VOICE_ID } = process.env;
 
-export function getElevenLabsStream(ws) {
-  const options = {
+const DEFAULT_TEXT = "Hi there, this is a test call. I'm your real estate assistant calling about your property. Are you interested in getting a free valuation?";
+
+/**
+ * Stream ElevenLabs text-to-speech (mp3, or `options.outputFormat` such as
+ * ulaw_8000) into anything with send()/close(), e.g. a WebSocket.
+ * `options.onError` is called if the request fails.
+ */
+export function getElevenLabsStream(ws, options = {}) {
+  const {
+    text = DEFAULT_TEXT,
+    voiceId = ELEVENLABS_VOICE_ID,
+    outputFormat,
+    onError
+  } = options;
+
+  const requestOptions = {
     hostname: 'api.elevenlabs.io',
-    path: `/v1/text-to-speech/${ELEVENLABS_VOICE_ID}/stream`,
+    path: `/v1/text-to-speech/${voiceId}/stream${outputFormat ? `?output_format=${outputFormat}` : ''}`,
     method: 'POST',
     headers: {
       'xi-api-key': ELEVENLABS_API_KEY,
       'Content-Type': 'application/json',
-      'Accept': 'audio/mpeg',
+      'Accept': outputFormat ? '*/*' : 'audio/mpeg',
     },
   };
 
-  const req = https.request(options, (res) => {
+  const req = https.request(requestOptions, (res) => {
+    if (res.statusCode !== 200) {
+      const error = new Error(`ElevenLabs TTS failed with status ${res.statusCode}`);
+      console.error('Error with ElevenLabs stream:', error);
+      res.resume();
+      onError?.(error);
+      ws.close();
+      return;
+    }
+
     res.on('data', (chunk) => {
       ws.send(chunk);
     });
@@ -27,11 +50,12 @@ export function getElevenLabsStream(ws) {
 
   req.on('error', (error) => {
     console.error('Error with ElevenLabs stream:', error);
+    onError?.(error);
     ws.close();
   });
 
   const payload = JSON.stringify({
-    text: "Hi there, this is a test call. I'm your real estate assistant calling about your property. Are you interested in getting a free valuation?",
+    text,
     model_id: "eleven_monolingual_v1",
     voice_settings: {
       stability: 0.5,
@@ -41,4 +65,30 @@ export function getElevenLabsStream(ws) {
 
   req.write(payload);
   req.end();
-}
\ No newline at end of file
+  return req;
+}
+
+/**
+ * Render text to a complete audio buffer (mp3 unless `options.outputFormat`
+ * is set) via getElevenLabsStream
+ */
+export function renderSpeech(text, options = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let failed = false;
+
+    getElevenLabsStream({
+      send: chunk => chunks.push(chunk),
+      close: () => {
+        if (!failed) resolve(Buffer.concat(chunks));
+      }
+    }, {
+      ...options,
+      text,
+      onError: error => {
+        failed = true;
+        reject(error);
+      }
+    });
+  });
+}
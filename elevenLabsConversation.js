@@ -0,0 +1,156 @@
+// elevenLabsConversation.js
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+
+// Voice settings the conversation override accepts alongside voice_id
+const TTS_OVERRIDE_SETTINGS = ['stability', 'similarity_boost', 'speed'];
+
+/**
+ * Build the `conversation_initiation_client_data` message sent when the
+ * socket opens. Only the overrides that are set are included, since the
+ * agent rejects overrides it hasn't been configured to allow.
+ */
+export function buildInitiationData({ prompt, firstMessage, language, voiceId, voiceSettings, dynamicVariables } = {}) {
+  const agent = {};
+  if (prompt) agent.prompt = { prompt };
+  if (firstMessage) agent.first_message = firstMessage;
+  if (language) agent.language = language;
+
+  const conversationConfigOverride = {};
+  if (Object.keys(agent).length) conversationConfigOverride.agent = agent;
+  const tts = {};
+  if (voiceId) tts.voice_id = voiceId;
+  for (const setting of TTS_OVERRIDE_SETTINGS) {
+    if (voiceSettings?.[setting] !== undefined) tts[setting] = voiceSettings[setting];
+  }
+  if (Object.keys(tts).length) conversationConfigOverride.tts = tts;
+
+  const message = {
+    type: 'conversation_initiation_client_data',
+    conversation_config_override: conversationConfigOverride
+  };
+  if (dynamicVariables && Object.keys(dynamicVariables).length) {
+    message.dynamic_variables = dynamicVariables;
+  }
+  return message;
+}
+
+/**
+ * Protocol layer for the ElevenLabs Conversational AI WebSocket.
+ *
+ * Sends the initiation override on connect and caller audio as
+ * `user_audio_chunk` messages, answers `ping` with `pong`, and emits:
+ *   - 'open'
+ *   - 'metadata'     ({ conversationId, agentOutputAudioFormat, userInputAudioFormat })
+ *   - 'audio'        (Buffer, eventId) decoded from `audio_event.audio_base_64`
+ *   - 'interruption' (eventId)
+ *   - '<type>'       (event) for any other event, e.g. 'user_transcript'
+ *   - 'error', 'close'
+ */
+export class ElevenLabsConversation extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.url = options.url;
+    this.log = options.log || console;
+    this.initiationData = options.initiationData || buildInitiationData();
+    this.socket = null;
+    this.conversationId = null;
+    this.agentOutputAudioFormat = null;
+    this.userInputAudioFormat = null;
+  }
+
+  connect() {
+    this.socket = new WebSocket(this.url);
+
+    this.socket.on('open', () => {
+      this.log.info('🗨️ ElevenLabs WS open – sending conversation initiation data');
+      this.send(this.initiationData);
+      this.emit('open');
+    });
+    this.socket.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+    this.socket.on('error', err => this.emit('error', err));
+    this.socket.on('close', (code, reason) => this.emit('close', code, reason.toString()));
+
+    return this;
+  }
+
+  get isOpen() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  send(message) {
+    if (!this.isOpen) return false;
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /** Send a chunk of caller audio in the agent's user_input_audio_format */
+  sendUserAudio(chunk) {
+    return this.send({ user_audio_chunk: chunk.toString('base64') });
+  }
+
+  close() {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.close();
+    } else if (this.socket?.readyState === WebSocket.CONNECTING) {
+      this.socket.terminate();
+    }
+  }
+
+  handleMessage(data, isBinary) {
+    const receivedAt = performance.now();
+    if (isBinary) {
+      this.log.warn('⚠️ Unexpected binary frame from ElevenLabs', { bytes: data.length });
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (e) {
+      this.log.warn('⚠️ Invalid JSON from ElevenLabs', { error: e.message });
+      return;
+    }
+
+    switch (event.type) {
+      case 'conversation_initiation_metadata': {
+        const metadata = event.conversation_initiation_metadata_event || {};
+        this.conversationId = metadata.conversation_id;
+        this.agentOutputAudioFormat = metadata.agent_output_audio_format;
+        this.userInputAudioFormat = metadata.user_input_audio_format;
+        this.emit('metadata', {
+          conversationId: this.conversationId,
+          agentOutputAudioFormat: this.agentOutputAudioFormat,
+          userInputAudioFormat: this.userInputAudioFormat
+        });
+        break;
+      }
+
+      case 'audio': {
+        const { audio_base_64, event_id } = event.audio_event || {};
+        if (audio_base_64) {
+          this.emit('audio', Buffer.from(audio_base_64, 'base64'), event_id, receivedAt);
+        }
+        break;
+      }
+
+      case 'ping':
+        this.send({ type: 'pong', event_id: event.ping_event?.event_id });
+        break;
+
+      case 'interruption':
+        this.emit('interruption', event.interruption_event?.event_id);
+        break;
+
+      default:
+        this.emit(event.type, event);
+    }
+  }
+}
+
+/**
+ * Create and connect a new ElevenLabs conversation
+ */
+export function createElevenLabsConversation(options = {}) {
+  return new ElevenLabsConversation(options).connect();
+}
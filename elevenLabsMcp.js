@@ -21,10 +21,6 @@ export class ElevenLabsMcpClient {
       throw new Error('ELEVENLABS_API_KEY is required');
     }
     
-    if (!this.agentId) {
-      throw new Error('ELEVENLABS_AGENT_ID is required');
-    }
-    
     // Parse MCP URL
     if (this.useMcp) {
       try {
@@ -194,10 +190,15 @@ export class ElevenLabsMcpClient {
 
   /**
    * Get a signed WebSocket URL for an ElevenLabs Conversational AI agent
+   * @param {string} [agentId] - Agent to connect to; defaults to the client's agent
    * @returns {Promise<string>} - The signed WebSocket URL
    */
-  async getSignedUrl() {
-    const path = `/v1/convai/conversation/get_signed_url?agent_id=${this.agentId}`;
+  async getSignedUrl(agentId = this.agentId) {
+    if (!agentId) {
+      throw new Error('No ElevenLabs agent configured: set ELEVENLABS_AGENT_ID or use an agent profile');
+    }
+
+    const path = `/v1/convai/conversation/get_signed_url?agent_id=${agentId}`;
     const response = await this.requestApi({ path });
     return response.signed_url;
   }
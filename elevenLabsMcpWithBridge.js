@@ -1,5 +1,6 @@
 import https from 'https';
 import http from 'http';
+import { mcpBridgeDuration, mcpBridgeTimeouts } from './metrics.js';
 
 /**
  * Client for interacting with ElevenLabs via MCP Bridge
@@ -15,10 +16,6 @@ export class ElevenLabsMcpBridgeClient {
       throw new Error('ELEVENLABS_API_KEY is required');
     }
     
-    if (!this.agentId) {
-      throw new Error('ELEVENLABS_AGENT_ID is required');
-    }
-    
     // Parse bridge URL
     try {
       const url = new URL(this.bridgeUrl);
@@ -35,6 +32,9 @@ export class ElevenLabsMcpBridgeClient {
    * Make a request to the MCP Bridge
    */
   async requestBridge(path, method = 'GET', body = null) {
+    const observeDuration = mcpBridgeDuration.startTimer({ path: path.split('?')[0] });
+    let timedOut = false;
+
     return new Promise((resolve, reject) => {
       const requestData = body ? JSON.stringify(body) : null;
       
@@ -91,6 +91,8 @@ export class ElevenLabsMcpBridgeClient {
 
       req.on('timeout', () => {
         console.error('⏰ MCP Bridge Request Timeout');
+        timedOut = true;
+        mcpBridgeTimeouts.inc({ path: path.split('?')[0] });
         req.destroy();
         reject(new Error('Request timed out'));
       });
@@ -100,7 +102,16 @@ export class ElevenLabsMcpBridgeClient {
       }
       
       req.end();
-    });
+    }).then(
+      result => {
+        observeDuration({ outcome: 'success' });
+        return result;
+      },
+      error => {
+        observeDuration({ outcome: timedOut ? 'timeout' : 'error' });
+        throw error;
+      }
+    );
   }
 
   /**
@@ -125,9 +136,11 @@ export class ElevenLabsMcpBridgeClient {
 
   /**
    * Create a conversational agent via MCP
+   * @param {Function} [options.fallbackSignedUrl] - Supplies the signed URL when the bridge fails
+   *   (e.g. from a pool); defaults to fetching one directly
    */
   async createVoiceAgent(options) {
-    const { systemPrompt, firstMessage, voiceSettings } = options;
+    const { systemPrompt, firstMessage, voiceSettings, fallbackSignedUrl } = options;
     
     try {
       const result = await this.requestBridge('/create-voice-agent', 'POST', {
@@ -149,7 +162,7 @@ export class ElevenLabsMcpBridgeClient {
       console.error('Failed to create voice agent via MCP:', error);
       
       // Fallback to direct API
-      const signedUrl = await this.getSignedUrl();
+      const signedUrl = fallbackSignedUrl ? await fallbackSignedUrl() : await this.getSignedUrl();
       return {
         agent_id: this.agentId,
         signed_url: signedUrl
@@ -180,10 +193,15 @@ export class ElevenLabsMcpBridgeClient {
 
   /**
    * Fallback: Get signed URL directly from ElevenLabs
+   * @param {string} [agentId] - Agent to connect to; defaults to the client's agent
    */
-  async getSignedUrl() {
+  async getSignedUrl(agentId = this.agentId) {
+    if (!agentId) {
+      throw new Error('No ElevenLabs agent configured: set ELEVENLABS_AGENT_ID or use an agent profile');
+    }
+
     return new Promise((resolve, reject) => {
-      const path = `/v1/convai/conversation/get_signed_url?agent_id=${this.agentId}`;
+      const path = `/v1/convai/conversation/get_signed_url?agent_id=${agentId}`;
       
       const requestOptions = {
         hostname: 'api.elevenlabs.io',
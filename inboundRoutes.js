@@ -0,0 +1,47 @@
+// inboundRoutes.js
+import { agentProfiles } from './agentProfiles.js';
+import { normalizeNumber } from './phoneNumbers.js';
+
+export const DEFAULT_INBOUND_FIRST_MESSAGE = "Thanks for calling Acme Realty! How can I help you today?";
+
+/**
+ * Load number-to-agent routes from INBOUND_ROUTES, a JSON object keyed by
+ * called number (or "default") whose values are either an agent profile name
+ * or an agent configuration `{ profile, agentId, systemPrompt, firstMessage, ... }`
+ */
+function loadRoutes() {
+  if (!process.env.INBOUND_ROUTES) return {};
+
+  try {
+    const routes = JSON.parse(process.env.INBOUND_ROUTES);
+    return Object.fromEntries(
+      Object.entries(routes).map(([number, agent]) => [number === 'default' ? number : normalizeNumber(number), agent])
+    );
+  } catch (error) {
+    console.error('Invalid INBOUND_ROUTES, ignoring:', error.message);
+    return {};
+  }
+}
+
+const routes = loadRoutes();
+
+/**
+ * Pick the agent for an inbound call by the number that was called
+ * @returns {{ profileName, agent }}
+ * @throws {Error} when the route names an unknown agent profile
+ */
+export function resolveInboundRoute(calledNumber) {
+  const route = routes[normalizeNumber(calledNumber)] || routes.default || {};
+  const { profile, prompt, ...overrides } = typeof route === 'string' ? { profile: route } : route;
+
+  const { profileName, agent } = agentProfiles.resolve(profile, {
+    systemPrompt: prompt,
+    ...overrides
+  });
+
+  // Callers get a greeting unless the agent brings its own
+  if (!agent.firstMessage && !agent.agentId) {
+    agent.firstMessage = DEFAULT_INBOUND_FIRST_MESSAGE;
+  }
+  return { profileName, agent };
+}
@@ -0,0 +1,44 @@
+// jsonFileStore.js
+import fs from 'fs';
+import path from 'path';
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+/**
+ * Small JSON document persisted under DATA_DIR, for configuration-sized
+ * collections (agent profiles, keys, lists). The whole document is loaded at
+ * startup and rewritten atomically on every save.
+ */
+export class JsonFileStore {
+  constructor(fileName, defaults = {}) {
+    this.filePath = path.join(DATA_DIR, fileName);
+    this.writeQueue = Promise.resolve();
+    this.data = this.load(defaults);
+  }
+
+  load(defaults) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return structuredClone(defaults);
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /** Persist the current document; writes are serialised so the last save wins */
+  save() {
+    const contents = JSON.stringify(this.data, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch(error => console.error(`Failed to save ${this.filePath}:`, error));
+
+    return this.writeQueue;
+  }
+}
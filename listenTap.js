@@ -0,0 +1,193 @@
+// listenTap.js
+import { decodeMulaw, encodePcm16, wavHeader } from './audioCodec.js';
+
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+const FLUSH_INTERVAL_MS = 100; // how often mixed audio is sent to listeners
+const JITTER_MS = 250; // how far behind live the mix runs, so late caller frames still make it in
+const LISTENER_MAX_BUFFERED_BYTES = 256 * 1024; // skip chunks for listeners this far behind
+
+export const LISTEN_FORMATS = ['pcm16', 'wav'];
+
+/**
+ * Mixes one call's caller and agent audio for live listeners. The media
+ * proxy only hands over references to the mulaw frames it already has
+ * (nothing at all while nobody is listening); decoding and mixing run on a
+ * timer, JITTER_MS behind live, on the same timeline as the call recording:
+ * caller audio at its Twilio timestamp, agent audio at the time it plays.
+ */
+export class AudioTap {
+  constructor(callSid, startedAt) {
+    this.callSid = callSid;
+    this.startedAt = startedAt;
+    this.listeners = new Map(); // socket -> format
+    this.segments = { caller: [], agent: [] }; // { start (sample), mulaw }
+    this.mixedUntil = 0; // samples already sent
+    this.timer = null;
+  }
+
+  /** Queue mulaw 8kHz audio for a channel starting at `offsetMs` into the call */
+  write(channel, mulaw, offsetMs) {
+    if (this.listeners.size === 0 || mulaw.length === 0) return;
+    this.segments[channel].push({ start: Math.round(offsetMs * SAMPLES_PER_MS), mulaw });
+  }
+
+  /** Drop channel audio from `offsetMs` on, e.g. agent audio cleared before it played */
+  truncate(channel, offsetMs) {
+    if (this.listeners.size === 0) return;
+    const cut = Math.round(offsetMs * SAMPLES_PER_MS);
+    this.segments[channel] = this.segments[channel]
+      .filter(segment => segment.start < cut)
+      .map(segment => segment.start + segment.mulaw.length > cut
+        ? { start: segment.start, mulaw: segment.mulaw.subarray(0, cut - segment.start) }
+        : segment);
+  }
+
+  addListener(socket, format) {
+    if (this.listeners.size === 0) {
+      // Start from now rather than replaying whatever came before
+      this.mixedUntil = this.liveSample();
+      this.timer = setInterval(() => {
+        try {
+          this.flush();
+        } catch (err) {
+          console.error(`Live listen mix failed for ${this.callSid}:`, err);
+        }
+      }, FLUSH_INTERVAL_MS);
+      this.timer.unref();
+    }
+    this.listeners.set(socket, format);
+  }
+
+  removeListener(socket) {
+    this.listeners.delete(socket);
+    if (this.listeners.size === 0) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.segments = { caller: [], agent: [] };
+    }
+  }
+
+  /** The latest sample that is safe to mix, `lagMs` behind live */
+  liveSample(lagMs = JITTER_MS) {
+    return Math.max(Math.round((Date.now() - this.startedAt - lagMs) * SAMPLES_PER_MS), 0);
+  }
+
+  /** Mix and send everything up to sample `to` */
+  flush(to = this.liveSample()) {
+    const from = this.mixedUntil;
+    if (to <= from) return;
+
+    const mix = new Int32Array(to - from);
+    for (const channel of Object.keys(this.segments)) {
+      const remaining = [];
+      for (const segment of this.segments[channel]) {
+        const end = segment.start + segment.mulaw.length;
+        const overlapStart = Math.max(segment.start, from);
+        const overlapEnd = Math.min(end, to);
+        if (overlapEnd > overlapStart) {
+          const samples = decodeMulaw(segment.mulaw.subarray(overlapStart - segment.start, overlapEnd - segment.start));
+          for (let i = 0; i < samples.length; i++) mix[overlapStart - from + i] += samples[i];
+        }
+        if (end > to) remaining.push(segment);
+      }
+      this.segments[channel] = remaining;
+    }
+    this.mixedUntil = to;
+
+    const pcm = encodePcm16(Int16Array.from(mix, sample => Math.max(-32768, Math.min(32767, sample))));
+    let wav;
+    for (const [socket, format] of this.listeners) {
+      if (socket.readyState !== socket.OPEN || socket.bufferedAmount > LISTENER_MAX_BUFFERED_BYTES) continue;
+      if (format === 'wav') {
+        wav ||= Buffer.concat([wavHeader(pcm.length, { sampleRate: SAMPLE_RATE }), pcm]);
+        socket.send(wav);
+      } else {
+        socket.send(pcm);
+      }
+    }
+  }
+
+  /** The call's stream ended: flush what is left and disconnect listeners */
+  end() {
+    if (this.listeners.size > 0) this.flush(this.liveSample(0));
+    for (const socket of this.listeners.keys()) {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify({ type: 'end', callSid: this.callSid }));
+        socket.close(1000, 'Call ended');
+      }
+      this.removeListener(socket);
+    }
+  }
+}
+
+/** Audio taps for the media streams currently live, by CallSid */
+export class AudioTapRegistry {
+  constructor() {
+    this.taps = new Map();
+  }
+
+  open(callSid, startedAt) {
+    const tap = new AudioTap(callSid, startedAt);
+    this.taps.get(callSid)?.end();
+    this.taps.set(callSid, tap);
+    return tap;
+  }
+
+  get(callSid) {
+    return this.taps.get(callSid);
+  }
+
+  /** End a tap, unless a newer stream for the call has replaced it */
+  close(tap) {
+    tap.end();
+    if (this.taps.get(tap.callSid) === tap) this.taps.delete(tap.callSid);
+  }
+}
+
+export const audioTaps = new AudioTapRegistry();
+
+/** preValidation for WS /calls/:sid/listen: only live calls can be listened to */
+export async function verifyListenTarget(req, reply) {
+  const format = req.query.format || 'pcm16';
+  if (!LISTEN_FORMATS.includes(format)) {
+    return reply.status(400).send({ error: `format must be one of ${LISTEN_FORMATS.join(', ')}` });
+  }
+  if (!audioTaps.get(req.params.sid)) {
+    return reply.status(404).send({ error: 'No live media stream for this call' });
+  }
+}
+
+/**
+ * WS /calls/:sid/listen?format=pcm16|wav
+ *    A JSON `format` message, then binary chunks of the mixed call audio
+ *    (8kHz mono PCM16, each chunk a standalone WAV with `format=wav`), then a
+ *    JSON `end` message when the call's stream closes
+ */
+export function handleListenSocket(socket, request, log) {
+  const { sid: callSid } = request.params;
+  const format = request.query.format || 'pcm16';
+  const tap = audioTaps.get(callSid);
+  if (!tap) {
+    socket.close(1011, 'Call ended');
+    return;
+  }
+
+  log.info('🎧 Supervisor listening', { callSid, keyId: request.apiKey?.id, format });
+  socket.send(JSON.stringify({
+    type: 'format',
+    callSid,
+    format,
+    encoding: 'pcm_s16le',
+    sampleRate: SAMPLE_RATE,
+    channels: 1,
+    chunkMs: FLUSH_INTERVAL_MS
+  }));
+  tap.addListener(socket, format);
+
+  socket.on('close', () => {
+    tap.removeListener(socket);
+    log.info('🎧 Supervisor stopped listening', { callSid, keyId: request.apiKey?.id });
+  });
+  socket.on('error', err => log.error(err, '❌ Listen WS error'));
+}
@@ -0,0 +1,204 @@
+// metrics.js
+
+const PREFIX = 'autoagentai_';
+
+// Seconds; spans fast local calls up to the 30s upstream timeouts
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * One metric family; `values` holds a sample (or histogram state) per
+ * label combination
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /** The labels this metric declares, in order, with missing ones empty */
+  labelsFor(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  keyFor(labels) {
+    return JSON.stringify(this.labelsFor(labels));
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values) {
+      lines.push(...this.renderSample(JSON.parse(key), value));
+    }
+    return lines.join('\n');
+  }
+
+  renderSample(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    const key = this.keyFor(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.values.set(this.keyFor(labels), value);
+  }
+
+  inc(labels, value = 1) {
+    const key = this.keyFor(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = this.keyFor(labels);
+    let state = this.values.get(key);
+    if (!state) {
+      state = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, state);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) state.counts[i]++;
+    });
+    state.sum += value;
+    state.count++;
+  }
+
+  /** Start a timer; call the returned function to observe the elapsed seconds */
+  startTimer(labels) {
+    const startedAt = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    };
+  }
+
+  renderSample(labels, { counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+/** Metrics for this process, rendered in the Prometheus text format */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n\n') + '\n';
+  }
+}
+
+export const metrics = new MetricsRegistry();
+
+export const activeMediaStreams = metrics.register(new Gauge(
+  'active_media_streams',
+  'Twilio media stream sessions currently connected'
+));
+activeMediaStreams.set({}, 0);
+
+export const callsCompleted = metrics.register(new Counter(
+  'calls_completed_total',
+  'Calls that reached a final Twilio status',
+  ['status']
+));
+
+export const amdResults = metrics.register(new Counter(
+  'amd_results_total',
+  'Answering machine detection results',
+  ['answered_by']
+));
+
+export const signedUrlDuration = metrics.register(new Histogram(
+  'elevenlabs_signed_url_duration_seconds',
+  'Latency of each ElevenLabs signed URL fetch attempt',
+  ['outcome']
+));
+
+export const signedUrlRetries = metrics.register(new Counter(
+  'elevenlabs_signed_url_retries_total',
+  'ElevenLabs signed URL fetches retried after an error'
+));
+signedUrlRetries.inc({}, 0);
+
+export const signedUrlPoolTakes = metrics.register(new Counter(
+  'elevenlabs_signed_url_pool_takes_total',
+  'Sessions that took a pre-fetched signed URL (hit) or had to fetch one (miss)',
+  ['result']
+));
+
+export const mcpBridgeDuration = metrics.register(new Histogram(
+  'mcp_bridge_request_duration_seconds',
+  'Latency of MCP bridge requests',
+  ['path', 'outcome']
+));
+
+export const mcpBridgeTimeouts = metrics.register(new Counter(
+  'mcp_bridge_timeouts_total',
+  'MCP bridge requests that timed out',
+  ['path']
+));
+
+export const websocketErrors = metrics.register(new Counter(
+  'websocket_errors_total',
+  'Errors that tore down a media stream, by source',
+  ['source']
+));
+
+export const audioBytes = metrics.register(new Counter(
+  'audio_bytes_total',
+  'Twilio media stream audio, inbound from the caller and outbound to the caller',
+  ['direction']
+));
+audioBytes.inc({ direction: 'inbound' }, 0);
+audioBytes.inc({ direction: 'outbound' }, 0);
+
+/** GET /metrics */
+export async function handleMetrics(req, reply) {
+  return reply.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+}
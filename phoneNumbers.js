@@ -0,0 +1,10 @@
+// phoneNumbers.js
+
+/**
+ * Normalise a phone number by stripping spaces, dashes, dots and brackets,
+ * so dialed numbers, do-not-call entries and inbound route keys compare equal
+ * to Twilio's E.164 numbers
+ */
+export function normalizeNumber(number) {
+  return String(number || '').replace(/[\s\-().]/g, '');
+}
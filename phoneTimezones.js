@@ -0,0 +1,120 @@
+// phoneTimezones.js
+
+const NEW_YORK = 'America/New_York';
+const CHICAGO = 'America/Chicago';
+const DENVER = 'America/Denver';
+const PHOENIX = 'America/Phoenix';
+const LOS_ANGELES = 'America/Los_Angeles';
+const BOISE = 'America/Boise';
+const DETROIT = 'America/Detroit';
+const INDIANAPOLIS = 'America/Indiana/Indianapolis';
+const TORONTO = 'America/Toronto';
+const WINNIPEG = 'America/Winnipeg';
+
+/**
+ * North American area codes by timezone. Area codes that straddle a
+ * timezone line appear under each zone they cover, and callers must treat a
+ * number as reachable only when every zone allows it.
+ */
+const NANP_TIMEZONES = {
+  [NEW_YORK]: [
+    201, 202, 203, 207, 212, 215, 216, 220, 223, 227, 229, 234, 239, 240, 252, 267, 270, 272, 276,
+    283, 301, 302, 304, 305, 315, 321, 324, 326, 330, 332, 336, 339, 347, 351, 352, 363, 364, 380,
+    386, 401, 404, 407, 410, 412, 413, 419, 423, 434, 436, 440, 443, 445, 448, 470, 472, 475, 478,
+    484, 502, 508, 513, 516, 518, 540, 551, 561, 567, 570, 571, 582, 585, 603, 606, 607, 609, 610,
+    614, 617, 631, 640, 645, 646, 656, 667, 678, 680, 681, 686, 689, 703, 704, 706, 716, 717, 718,
+    724, 727, 728, 732, 740, 743, 754, 757, 762, 770, 771, 772, 774, 781, 786, 802, 803, 804, 813,
+    814, 821, 826, 828, 835, 838, 839, 843, 845, 848, 850, 854, 856, 857, 859, 860, 862, 863, 864,
+    865, 878, 904, 908, 910, 912, 914, 917, 919, 929, 931, 934, 937, 941, 943, 948, 954, 959, 973,
+    978, 980, 984
+  ],
+  [DETROIT]: [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989],
+  [INDIANAPOLIS]: [260, 317, 463, 574, 765, 812, 930],
+  [CHICAGO]: [
+    205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 274, 281, 308, 309, 312,
+    314, 316, 318, 319, 320, 325, 327, 331, 334, 337, 346, 361, 364, 402, 405, 409, 414, 417, 423,
+    430, 432, 447, 448, 464, 469, 479, 501, 504, 507, 512, 515, 531, 534, 539, 557, 563, 572, 573,
+    580, 601, 605, 608, 612, 615, 618, 620, 629, 630, 636, 641, 651, 659, 660, 662, 682, 701, 708,
+    712, 713, 715, 726, 730, 731, 737, 763, 769, 773, 779, 785, 806, 812, 815, 816, 817, 830, 832,
+    847, 850, 861, 870, 872, 901, 903, 906, 913, 918, 920, 924, 930, 931, 936, 938, 940, 945, 952,
+    956, 972, 975, 979, 985
+  ],
+  [DENVER]: [303, 307, 308, 385, 406, 432, 435, 505, 575, 605, 620, 701, 719, 720, 785, 801, 915, 928, 970, 983],
+  [PHOENIX]: [480, 520, 602, 623, 928],
+  [BOISE]: [208, 458, 541, 986],
+  [LOS_ANGELES]: [
+    206, 208, 209, 213, 253, 279, 310, 323, 341, 350, 360, 408, 415, 424, 425, 442, 458, 503, 509,
+    510, 530, 541, 559, 562, 564, 619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760,
+    775, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951, 971, 986
+  ],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Puerto_Rico': [787, 939],
+  [TORONTO]: [
+    226, 249, 263, 289, 343, 354, 365, 367, 382, 416, 418, 437, 438, 450, 468, 514, 519, 548, 579,
+    581, 613, 647, 683, 705, 742, 753, 807, 819, 873, 905
+  ],
+  [WINNIPEG]: [204, 431, 584, 807],
+  'America/Regina': [306, 474, 639],
+  'America/Edmonton': [368, 403, 587, 780, 825, 867],
+  'America/Vancouver': [236, 250, 257, 604, 672, 778, 867],
+  'America/Halifax': [428, 506, 782, 902],
+  'America/St_Johns': [709, 879]
+};
+
+const AREA_CODE_TIMEZONES = new Map();
+for (const [timezone, areaCodes] of Object.entries(NANP_TIMEZONES)) {
+  for (const areaCode of areaCodes) {
+    const zones = AREA_CODE_TIMEZONES.get(String(areaCode)) || [];
+    AREA_CODE_TIMEZONES.set(String(areaCode), [...zones, timezone]);
+  }
+}
+
+// Countries on a single timezone, by calling code (longest prefix wins)
+const COUNTRY_TIMEZONES = {
+  '27': 'Africa/Johannesburg',
+  '30': 'Europe/Athens',
+  '31': 'Europe/Amsterdam',
+  '32': 'Europe/Brussels',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '41': 'Europe/Zurich',
+  '43': 'Europe/Vienna',
+  '44': 'Europe/London',
+  '45': 'Europe/Copenhagen',
+  '46': 'Europe/Stockholm',
+  '47': 'Europe/Oslo',
+  '48': 'Europe/Warsaw',
+  '49': 'Europe/Berlin',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '91': 'Asia/Kolkata',
+  '351': 'Europe/Lisbon',
+  '353': 'Europe/Dublin',
+  '358': 'Europe/Helsinki',
+  '852': 'Asia/Hong_Kong',
+  '971': 'Asia/Dubai',
+  '972': 'Asia/Jerusalem'
+};
+
+/**
+ * Timezones a phone number may be in, from its E.164 prefix.
+ * @returns {string[]} empty when the number's timezone can't be determined
+ */
+export function timezonesForNumber(number) {
+  const digits = String(number || '').replace(/[^\d+]/g, '');
+  if (!digits.startsWith('+')) return [];
+
+  if (digits.startsWith('+1')) {
+    return AREA_CODE_TIMEZONES.get(digits.slice(2, 5)) || [];
+  }
+
+  for (const length of [3, 2]) {
+    const timezone = COUNTRY_TIMEZONES[digits.slice(1, 1 + length)];
+    if (timezone) return [timezone];
+  }
+  return [];
+}
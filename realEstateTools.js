@@ -0,0 +1,99 @@
+// realEstateTools.js
+import { JsonFileStore } from './jsonFileStore.js';
+import { toolRegistry } from './toolRegistry.js';
+import { appointmentBook } from './appointments.js';
+
+// Property data the agent can look up, in DATA_DIR/properties.json as
+// `{ "properties": [{ "address": "...", "postcode": "...", ... }] }`
+const propertyStore = new JsonFileStore('properties.json', { properties: [] });
+
+function normalizeAddress(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+toolRegistry.register('lookup_property', {
+  description: 'Look up what we know about a property by its address or postcode',
+  parameters: {
+    type: 'object',
+    properties: {
+      address: { type: 'string', description: 'Street address or postcode' }
+    },
+    required: ['address']
+  },
+  handler: ({ address }) => {
+    const query = normalizeAddress(address);
+    const property = propertyStore.data.properties.find(candidate =>
+      [candidate.address, candidate.postcode].some(field => {
+        const value = normalizeAddress(field);
+        return value && (value.includes(query) || query.includes(value));
+      })
+    );
+    return property ? { found: true, property } : { found: false };
+  }
+});
+
+// Slots are offered to the caller in the office's local time
+function describeSlot(start) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: appointmentBook.config.timezone,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(new Date(start));
+}
+
+toolRegistry.register('check_availability', {
+  description: 'List free valuation visit slots. Offer the caller a few and pass the chosen start to book_valuation',
+  parameters: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', description: 'First day to check, as YYYY-MM-DD (defaults to today)' },
+      days: { type: 'integer', description: 'How many days to check (defaults to 7)' }
+    }
+  },
+  handler: ({ date, days = 7 }) => {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error('date must be YYYY-MM-DD');
+    }
+    const slots = appointmentBook.availableSlots({ from: date || new Date(), days: Math.max(days, 1), limit: 8 });
+    return {
+      timezone: appointmentBook.config.timezone,
+      slots: slots.map(slot => ({ start: slot.start, description: describeSlot(slot.start) }))
+    };
+  }
+});
+
+toolRegistry.register('book_valuation', {
+  description: 'Book a free property valuation visit for the caller in a slot from check_availability',
+  parameters: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: "Caller's name" },
+      address: { type: 'string', description: 'Address of the property to value' },
+      start: { type: 'string', description: 'Start of the chosen slot, exactly as returned by check_availability' },
+      email: { type: 'string', description: "Caller's email address, to send the calendar invite to" },
+      notes: { type: 'string', description: 'Anything the valuer should know' }
+    },
+    required: ['name', 'address', 'start']
+  },
+  handler: ({ name, address, start, email, notes }, { callSid, call }) => {
+    const appointment = appointmentBook.book({
+      start,
+      name,
+      address,
+      email,
+      notes,
+      phone: call?.direction === 'inbound' ? call?.from : call?.to,
+      callSid,
+      source: 'agent'
+    });
+    return {
+      reference: appointment.id.slice(0, 8).toUpperCase(),
+      start: appointment.start,
+      description: describeSlot(appointment.start),
+      status: appointment.status
+    };
+  }
+});
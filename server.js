@@ -1,14 +1,70 @@
+// Load environment variables from .env before any module reads them at import
+import 'dotenv/config';
 import Fastify from 'fastify';
 import websocket from '@fastify/websocket';
 import fastifyCors from '@fastify/cors';
 import fastifyFormBody from '@fastify/formbody';
-import dotenv from 'dotenv';
 import Twilio from 'twilio';
-import { handleCallWebhook, handleMediaStreamSocket, handleCallStatus, handleAmdStatus } from './twilioHandler.js';
-import { config } from 'dotenv';
-
-// Load environment variables from .env file
-config();
+import {
+  handleCallWebhook,
+  handleIncomingCall,
+  handleMediaStreamSocket,
+  handleCallStatus,
+  handleAmdStatus,
+  handleVoicemailAudio,
+  handleTransferCall,
+  handleTransferWhisper,
+  handleTransferDialStatus,
+  handleHangupCall,
+  handleMuteAgent,
+  handleInjectContext,
+  handleSay,
+  warmSignedUrlPool
+} from './twilioHandler.js';
+import {
+  handleCreateCampaign,
+  handleListCampaigns,
+  handleGetCampaign,
+  campaignActionHandler
+} from './campaignManager.js';
+import { handleListCalls, handleGetCall, handleGetTranscript } from './callStore.js';
+import { handleGetRecording, startRecordingRetention } from './callRecorder.js';
+import {
+  handleListAgents,
+  handleGetAgent,
+  handleCreateAgent,
+  handleUpdateAgent,
+  handleDeleteAgent
+} from './agentProfiles.js';
+import { verifyTwilioWebhook, verifyMediaStream } from './twilioSignature.js';
+import { handleMonitorSocket } from './callEvents.js';
+import { handleListActiveCalls } from './callSessions.js';
+import { handleListenSocket, verifyListenTarget } from './listenTap.js';
+import { handleMetrics } from './metrics.js';
+import { handleListDoNotCall, handleAddDoNotCall, handleRemoveDoNotCall } from './compliance.js';
+import { handleListTools } from './toolRegistry.js';
+import {
+  handleListAppointments,
+  handleGetAvailability,
+  handleCreateAppointment,
+  handleGetAppointment,
+  handleGetAppointmentIcs,
+  handleCancelAppointment
+} from './appointments.js';
+import {
+  handleListWebhooks,
+  handleCreateWebhook,
+  handleDeleteWebhook,
+  handleListDeadLetters
+} from './webhooks.js';
+import {
+  apiKeys,
+  requireApiKey,
+  handleListApiKeys,
+  handleCreateApiKey,
+  handleRevokeApiKey,
+  handleCreateWsTicket
+} from './apiKeys.js';
 
 // Log non-secret environment variables for diagnostics
 console.log('ENV:', {
@@ -27,8 +83,7 @@ const requiredEnvVars = [
   'TWILIO_ACCOUNT_SID',
   'TWILIO_AUTH_TOKEN',
   'TWILIO_PHONE_NUMBER',
-  'ELEVENLABS_API_KEY',
-  'ELEVENLABS_AGENT_ID'
+  'ELEVENLABS_API_KEY'
 ];
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
@@ -53,15 +108,27 @@ const app = Fastify({
 });
 
 // Register plugins
+// CORS_ORIGINS restricts browser access to a comma-separated list of origins
 app.register(fastifyCors, {
-  origin: true,
+  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 });
 app.register(fastifyFormBody);
 app.register(websocket);
+// Accept raw CSV uploads (campaign contact lists)
+app.addContentTypeParser('text/csv', { parseAs: 'string' }, (req, body, done) => done(null, body));
 console.log('Registered CORS and formbody plugins');
 
+// API key auth for every route; each route names the scope it needs
+// (`config: { scope }`), anything unmarked requires admin
+app.addHook('onRequest', requireApiKey);
+if (!apiKeys.isConfigured) {
+  console.warn('⚠️ No API keys configured: set ADMIN_API_KEY to use the control endpoints');
+}
+const PUBLIC_ROUTE = { config: { public: true } };
+const requireScope = scope => ({ config: { scope } });
+
 const twilioClient = Twilio(
   process.env.TWILIO_ACCOUNT_SID,
   process.env.TWILIO_AUTH_TOKEN
@@ -79,24 +146,55 @@ async function getElevenLabsUrl() {
 }
 
 // Health check endpoint
-app.get('/health', async (request, reply) => {
+app.get('/health', PUBLIC_ROUTE, async (request, reply) => {
   return { status: 'ok' };
 });
 console.log('Registered GET /health');
 
+// Prometheus scrape endpoint
+app.get('/metrics', requireScope('read'), handleMetrics);
+console.log('Registered GET /metrics');
+
 // Root endpoint
-app.get('/', async (request, reply) => {
+app.get('/', PUBLIC_ROUTE, async (request, reply) => {
   return { 
     service: 'AutoAgentAI Twilio + ElevenLabs Integration',
     status: 'running',
     endpoints: {
       health: '/health',
+      metrics: '/metrics',
       envCheck: '/env-check',
       testMcpBridge: '/test-mcp-bridge',
       startCall: '/start-call (POST)',
+      incomingCall: '/incoming-call (POST)',
       callStatus: '/call-status (POST)',
       amdStatus: '/amd-status (POST)',
-      mediaStream: '/media-stream (WebSocket)'
+      voicemailAudio: '/voicemail/:token (GET)',
+      campaigns: '/campaigns (GET, POST)',
+      campaign: '/campaigns/:id (GET)',
+      campaignControl: '/campaigns/:id/pause|resume|cancel (POST)',
+      tools: '/tools (GET)',
+      appointments: '/appointments (GET, POST), /appointments/availability (GET)',
+      appointment: '/appointments/:id (GET, DELETE), /appointments/:id/ics (GET)',
+      dnc: '/dnc (GET, POST), /dnc/:number (DELETE)',
+      agents: '/agents (GET, POST)',
+      agent: '/agents/:name (GET, PUT, DELETE)',
+      apiKeys: '/api-keys (GET, POST), /api-keys/:id (DELETE)',
+      wsTickets: '/ws-tickets (POST)',
+      webhooks: '/webhooks (GET, POST), /webhooks/:id (DELETE), /webhooks/dead-letters (GET)',
+      calls: '/calls (GET)',
+      activeCalls: '/calls/active (GET)',
+      hangup: '/calls/:sid/hangup (POST)',
+      muteAgent: '/calls/:sid/mute-agent (POST)',
+      injectContext: '/calls/:sid/context (POST)',
+      say: '/calls/:sid/say (POST)',
+      call: '/calls/:sid (GET)',
+      transcript: '/calls/:sid/transcript (GET)',
+      recording: '/calls/:sid/recording (GET)',
+      transfer: '/calls/:sid/transfer (POST)',
+      mediaStream: '/media-stream (WebSocket)',
+      monitor: '/monitor?callSid= (WebSocket)',
+      listen: '/calls/:sid/listen?format=pcm16|wav (WebSocket)'
     }
   };
 });
@@ -108,13 +206,34 @@ app.get('/env-check', async (request, reply) => {
     'TWILIO_ACCOUNT_SID',
     'TWILIO_AUTH_TOKEN',
     'TWILIO_PHONE_NUMBER',
-    'ELEVENLABS_API_KEY',
-    'ELEVENLABS_AGENT_ID'
+    'ELEVENLABS_API_KEY'
   ];
   
   const optionalVars = [
+    'ELEVENLABS_AGENT_ID',
+    'DEFAULT_AGENT_PROFILE',
     'USE_MCP',
-    'MCP_URL'
+    'MCP_URL',
+    'ELEVENLABS_VOICE_ID',
+    'INBOUND_ROUTES',
+    'PUBLIC_BASE_URL',
+    'TWILIO_VALIDATE_SIGNATURES',
+    'CORS_ORIGINS',
+    'ADMIN_API_KEY',
+    'TRANSFER_NUMBER',
+    'TRANSFER_QUEUE',
+    'CLIENT_TOOL_TIMEOUT_MS',
+    'WEBHOOK_URL',
+    'WEBHOOK_SECRET',
+    'APPOINTMENT_TIMEZONE',
+    'APPOINTMENT_AVAILABILITY',
+    'CALLING_WINDOW_START',
+    'CALLING_WINDOW_END',
+    'CALLING_DAYS',
+    'MAX_CALL_ATTEMPTS_PER_DAY',
+    'MAX_CALL_ATTEMPTS_PER_WEEK',
+    'SIGNED_URL_POOL_SIZE',
+    'SIGNED_URL_MAX_AGE_MS'
   ];
   
   const missingVars = requiredVars.filter(name => !process.env[name]);
@@ -172,25 +291,129 @@ app.get('/test-mcp-bridge', async (request, reply) => {
 console.log('Registered GET /test-mcp-bridge');
 
 // Webhook endpoint for initiating calls
-app.post('/start-call', handleCallWebhook);
+app.post('/start-call', requireScope('dial'), handleCallWebhook);
 console.log('Registered POST /start-call');
 
+// Twilio voice webhook for inbound calls
+app.post('/incoming-call', { ...PUBLIC_ROUTE, preHandler: verifyTwilioWebhook }, handleIncomingCall);
+console.log('Registered POST /incoming-call');
+
 // Webhook endpoint for call status updates
-app.post('/call-status', handleCallStatus);
+app.post('/call-status', { ...PUBLIC_ROUTE, preHandler: verifyTwilioWebhook }, handleCallStatus);
 console.log('Registered POST /call-status');
 
 // Webhook endpoint for AMD status updates
-app.post('/amd-status', handleAmdStatus);
+app.post('/amd-status', { ...PUBLIC_ROUTE, preHandler: verifyTwilioWebhook }, handleAmdStatus);
 console.log('Registered POST /amd-status');
 
-// WebSocket endpoint for media streaming
+// Rendered voicemail audio fetched by Twilio <Play>
+app.get('/voicemail/:token', PUBLIC_ROUTE, handleVoicemailAudio);
+console.log('Registered GET /voicemail/:token');
+
+// Warm transfer to a human, and the whisper Twilio plays to them first
+app.post('/calls/:sid/transfer', requireScope('dial'), handleTransferCall);
+app.post('/transfer-whisper/:token', { ...PUBLIC_ROUTE, preHandler: verifyTwilioWebhook }, handleTransferWhisper);
+app.post('/transfer-dial-status', { ...PUBLIC_ROUTE, preHandler: verifyTwilioWebhook }, handleTransferDialStatus);
+console.log('Registered POST /calls/:sid/transfer, POST /transfer-whisper/:token and POST /transfer-dial-status');
+
+// Live call control
+app.get('/calls/active', requireScope('read'), handleListActiveCalls);
+app.post('/calls/:sid/hangup', requireScope('dial'), handleHangupCall);
+app.post('/calls/:sid/mute-agent', requireScope('dial'), handleMuteAgent);
+app.post('/calls/:sid/context', requireScope('dial'), handleInjectContext);
+app.post('/calls/:sid/say', requireScope('dial'), handleSay);
+console.log('Registered GET /calls/active and POST /calls/:sid/hangup|mute-agent|context|say');
+
+// Batch outbound campaigns
+app.post('/campaigns', requireScope('dial'), handleCreateCampaign);
+app.get('/campaigns', requireScope('read'), handleListCampaigns);
+app.get('/campaigns/:id', requireScope('read'), handleGetCampaign);
+app.post('/campaigns/:id/pause', requireScope('dial'), campaignActionHandler('pause'));
+app.post('/campaigns/:id/resume', requireScope('dial'), campaignActionHandler('resume'));
+app.post('/campaigns/:id/cancel', requireScope('dial'), campaignActionHandler('cancel'));
+console.log('Registered /campaigns routes');
+
+// Client tools available to the voice agent
+app.get('/tools', requireScope('read'), handleListTools);
+console.log('Registered GET /tools');
+
+// Valuation appointments
+app.get('/appointments', requireScope('read'), handleListAppointments);
+app.post('/appointments', requireScope('dial'), handleCreateAppointment);
+app.get('/appointments/availability', requireScope('read'), handleGetAvailability);
+app.get('/appointments/:id', requireScope('read'), handleGetAppointment);
+app.get('/appointments/:id/ics', requireScope('read'), handleGetAppointmentIcs);
+app.delete('/appointments/:id', requireScope('dial'), handleCancelAppointment);
+console.log('Registered /appointments routes');
+
+// Do-not-call list
+app.get('/dnc', requireScope('read'), handleListDoNotCall);
+app.post('/dnc', requireScope('dial'), handleAddDoNotCall);
+app.delete('/dnc/:number', handleRemoveDoNotCall);
+console.log('Registered /dnc routes');
+
+// Agent profiles
+app.get('/agents', requireScope('read'), handleListAgents);
+app.post('/agents', handleCreateAgent);
+app.get('/agents/:name', requireScope('read'), handleGetAgent);
+app.put('/agents/:name', handleUpdateAgent);
+app.delete('/agents/:name', handleDeleteAgent);
+console.log('Registered /agents routes');
+
+// Call records
+app.get('/calls', requireScope('read'), handleListCalls);
+app.get('/calls/:sid', requireScope('read'), handleGetCall);
+app.get('/calls/:sid/transcript', requireScope('read'), handleGetTranscript);
+console.log('Registered GET /calls, GET /calls/:sid and GET /calls/:sid/transcript');
+
+// Call recordings
+app.get('/calls/:sid/recording', requireScope('read'), handleGetRecording);
+console.log('Registered GET /calls/:sid/recording');
+
+// API key management (admin)
+app.get('/api-keys', handleListApiKeys);
+app.post('/api-keys', handleCreateApiKey);
+app.delete('/api-keys/:id', handleRevokeApiKey);
+console.log('Registered /api-keys routes');
+
+// One-time tickets for browser WebSockets, which can't send an API key header
+app.post('/ws-tickets', requireScope('read'), handleCreateWsTicket);
+console.log('Registered POST /ws-tickets');
+
+// Outbound event webhooks (admin)
+app.get('/webhooks', handleListWebhooks);
+app.post('/webhooks', handleCreateWebhook);
+app.get('/webhooks/dead-letters', handleListDeadLetters);
+app.delete('/webhooks/:id', handleDeleteWebhook);
+console.log('Registered /webhooks routes');
+
+// WebSocket endpoint for media streaming, authenticated by the upgrade
+// signature or the one-time token in the Stream URL
 app.register(async function (fastify) {
-  fastify.get('/media-stream', { websocket: true }, (connection, req) => {
+  const mediaStreamHandler = (connection, req) => {
     handleMediaStreamSocket(connection, req, req.log);
-  });
+  };
+  fastify.get('/media-stream', { ...PUBLIC_ROUTE, websocket: true, preValidation: verifyMediaStream }, mediaStreamHandler);
+  fastify.get('/media-stream/:token', { ...PUBLIC_ROUTE, websocket: true, preValidation: verifyMediaStream }, mediaStreamHandler);
 });
 console.log('Registered WS /media-stream');
 
+// Live call events for dashboards and supervisors
+app.register(async function (fastify) {
+  fastify.get('/monitor', { ...requireScope('read'), websocket: true }, (connection, req) => {
+    handleMonitorSocket(connection, req, req.log);
+  });
+});
+console.log('Registered WS /monitor');
+
+// Supervisor live-listen: mixed caller and agent audio of a live call
+app.register(async function (fastify) {
+  fastify.get('/calls/:sid/listen', { ...requireScope('read'), websocket: true, preValidation: verifyListenTarget }, (connection, req) => {
+    handleListenSocket(connection, req, req.log);
+  });
+});
+console.log('Registered WS /calls/:sid/listen');
+
 // Error handling
 app.setErrorHandler((error, request, reply) => {
   app.log.error(error);
@@ -216,6 +439,10 @@ app.listen({ port: PORT, host: HOST }, (err, address) => {
     process.exit(1);
   }
   app.log.info(`🚀 Server listening at ${address}`);
+
+  // Delete call recordings past their retention period
+  startRecordingRetention(parseInt(process.env.RECORDING_RETENTION_DAYS || '30', 10), app.log);
+  warmSignedUrlPool();
   console.log(`🚀 Server listening at ${address}`);
   console.log('Server startup complete');
   
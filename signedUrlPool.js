@@ -0,0 +1,85 @@
+// signedUrlPool.js
+import { signedUrlPoolTakes } from './metrics.js';
+
+const POOL_SIZE = parseInt(process.env.SIGNED_URL_POOL_SIZE || '2', 10); // per agent; 0 disables
+const MAX_AGE_MS = parseInt(process.env.SIGNED_URL_MAX_AGE_MS || String(10 * 60 * 1000), 10); // ElevenLabs URLs last 15 minutes
+const IDLE_MS = 30 * 60 * 1000; // stop refilling for an agent nobody has called for this long
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Pre-fetched ElevenLabs signed URLs, so opening a session doesn't wait on
+ * a round trip. Each URL starts one conversation, so take() hands it out
+ * once and refills in the background. Agents are pooled from their first
+ * take() or warm(); a timer drops URLs older than MAX_AGE_MS and tops up.
+ */
+export class SignedUrlPool {
+  constructor({ fetchUrl, defaultAgentId = process.env.ELEVENLABS_AGENT_ID, size = POOL_SIZE, maxAgeMs = MAX_AGE_MS, idleMs = IDLE_MS }) {
+    this.fetchUrl = fetchUrl; // agentId => Promise<string>
+    this.defaultAgentId = defaultAgentId; // what an omitted agentId means, so both share one entry
+    this.size = size;
+    this.maxAgeMs = maxAgeMs;
+    this.idleMs = idleMs;
+    this.agents = new Map(); // agentId -> { urls, pending, lastUsedAt }
+    this.timer = null;
+  }
+
+  entry(agentId) {
+    const key = agentId || this.defaultAgentId || '';
+    let entry = this.agents.get(key);
+    if (!entry) {
+      entry = { urls: [], pending: 0, lastUsedAt: Date.now() };
+      this.agents.set(key, entry);
+    }
+    if (!this.timer && this.size > 0) {
+      this.timer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+      this.timer.unref();
+    }
+    return entry;
+  }
+
+  /** Start keeping URLs ready for an agent */
+  warm(agentId) {
+    const entry = this.entry(agentId);
+    entry.lastUsedAt = Date.now();
+    this.topUp(agentId || this.defaultAgentId, entry);
+  }
+
+  /** A fresh signed URL for the agent, fetched now if none is ready */
+  async take(agentId) {
+    const entry = this.entry(agentId);
+    entry.lastUsedAt = Date.now();
+    entry.urls = entry.urls.filter(url => Date.now() - url.fetchedAt < this.maxAgeMs);
+
+    const ready = entry.urls.shift();
+    agentId ||= this.defaultAgentId;
+    this.topUp(agentId, entry);
+    signedUrlPoolTakes.inc({ result: ready ? 'hit' : 'miss' });
+    return ready ? ready.url : this.fetchUrl(agentId);
+  }
+
+  topUp(agentId, entry) {
+    if (!agentId) return; // no default agent configured: nothing to fetch ahead
+    while (entry.urls.length + entry.pending < this.size) {
+      entry.pending++;
+      this.fetchUrl(agentId)
+        .then(url => entry.urls.push({ url, fetchedAt: Date.now() }))
+        .catch(err => console.warn('⚠️ Signed URL pool refill failed', { agentId, error: err.message }))
+        .finally(() => entry.pending--);
+    }
+  }
+
+  refresh() {
+    for (const [key, entry] of this.agents) {
+      if (Date.now() - entry.lastUsedAt > this.idleMs) {
+        this.agents.delete(key);
+        continue;
+      }
+      entry.urls = entry.urls.filter(url => Date.now() - url.fetchedAt < this.maxAgeMs);
+      this.topUp(key || undefined, entry);
+    }
+    if (this.agents.size === 0) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
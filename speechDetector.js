@@ -0,0 +1,50 @@
+// speechDetector.js
+import { decodeMulaw } from './audioCodec.js';
+
+/**
+ * Energy-based speech detector for 8kHz mulaw caller audio.
+ * Reports speech once the RMS level stays above the threshold for
+ * `minSpeechMs`, so line noise and clicks don't count as the caller talking.
+ */
+export class SpeechDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold || parseInt(process.env.BARGE_IN_VAD_THRESHOLD || '1200', 10);
+    this.minSpeechMs = options.minSpeechMs || parseInt(process.env.BARGE_IN_MIN_SPEECH_MS || '200', 10);
+    this.sampleRate = options.sampleRate || 8000;
+    this.speechMs = 0;
+    this.isSpeaking = false;
+  }
+
+  /**
+   * Feed a chunk of mulaw audio.
+   * @returns {boolean} true only on the chunk where speech starts
+   */
+  process(chunk) {
+    if (chunk.length === 0) return false;
+
+    let sumSquares = 0;
+    for (const sample of decodeMulaw(chunk)) {
+      sumSquares += sample * sample;
+    }
+    const rms = Math.sqrt(sumSquares / chunk.length);
+    const chunkMs = (chunk.length / this.sampleRate) * 1000;
+
+    if (rms < this.threshold) {
+      this.speechMs = 0;
+      this.isSpeaking = false;
+      return false;
+    }
+
+    this.speechMs += chunkMs;
+    if (!this.isSpeaking && this.speechMs >= this.minSpeechMs) {
+      this.isSpeaking = true;
+      return true;
+    }
+    return false;
+  }
+
+  reset() {
+    this.speechMs = 0;
+    this.isSpeaking = false;
+  }
+}
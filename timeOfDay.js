@@ -0,0 +1,11 @@
+// timeOfDay.js
+
+/**
+ * Parse "HH:MM" into minutes after midnight, for the calling window and
+ * appointment availability
+ */
+export function parseTimeOfDay(value) {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`Invalid time of day: ${value}`);
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
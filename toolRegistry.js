@@ -0,0 +1,145 @@
+// toolRegistry.js
+import { callStore } from './callStore.js';
+
+const DEFAULT_TOOL_TIMEOUT_MS = parseInt(process.env.CLIENT_TOOL_TIMEOUT_MS || '10000', 10);
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+/**
+ * Check tool parameters against the subset of JSON Schema tools use:
+ * an object with typed `properties`, `required` and `enum`.
+ * Unknown properties are dropped.
+ * @throws {Error} describing the first invalid parameter
+ */
+export function validateParameters(schema = {}, parameters = {}) {
+  if (!JSON_TYPES.object(parameters)) {
+    throw new Error('parameters must be an object');
+  }
+
+  for (const name of schema.required || []) {
+    if (parameters[name] === undefined) throw new Error(`Missing required parameter: ${name}`);
+  }
+
+  const valid = {};
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const value = parameters[name];
+    if (value === undefined) continue;
+    if (property.type && !JSON_TYPES[property.type]?.(value)) {
+      throw new Error(`Parameter ${name} must be of type ${property.type}`);
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      throw new Error(`Parameter ${name} must be one of ${property.enum.join(', ')}`);
+    }
+    valid[name] = value;
+  }
+  return valid;
+}
+
+function withTimeout(promise, timeoutMs, controller) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Tool timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Named handlers the voice agent can invoke as ElevenLabs client tools.
+ * Each tool has a JSON-schema `parameters` definition and a handler
+ * `(parameters, context) => result`, where context carries the call
+ * (`callSid`, `call`, `host`, `log`), an AbortSignal that fires on timeout,
+ * and `afterReply(fn)` for work that must wait until the agent has the
+ * result (e.g. ending the call).
+ */
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /** Register a tool; registering an existing name replaces it */
+  register(name, { description, parameters = { type: 'object', properties: {} }, handler, timeoutMs = DEFAULT_TOOL_TIMEOUT_MS }) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool ${name} needs a handler`);
+    }
+    this.tools.set(name, { name, description, parameters, handler, timeoutMs });
+  }
+
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  list() {
+    return [...this.tools.values()].map(({ handler, ...definition }) => definition);
+  }
+
+  /**
+   * Run one client tool call and log it on the call record. Never throws:
+   * failures come back as `{ isError: true }` for the agent to handle.
+   * `allowedTools` (e.g. from the agent profile) limits what may be called.
+   * @returns {Promise<{ result: string, isError: boolean, afterReply: Function[] }>}
+   */
+  async dispatch({ name, toolCallId, parameters, allowedTools, context }) {
+    const startedAt = Date.now();
+    const afterReply = [];
+    const tool = this.tools.get(name);
+    let result;
+    let error;
+
+    try {
+      if (!tool || (allowedTools && !allowedTools.includes(name))) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+
+      const valid = validateParameters(tool.parameters, parameters);
+      const controller = new AbortController();
+      result = await withTimeout(
+        Promise.resolve().then(() => tool.handler(valid, {
+          ...context,
+          signal: controller.signal,
+          afterReply: fn => afterReply.push(fn)
+        })),
+        tool.timeoutMs,
+        controller
+      );
+    } catch (err) {
+      error = err;
+      afterReply.length = 0;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    context.log.info('🧰 Client tool call', { callSid: context.callSid, name, toolCallId, durationMs, error: error?.message });
+    if (context.callSid) {
+      callStore.recordToolCall(context.callSid, {
+        toolCallId,
+        name,
+        parameters,
+        result: error ? undefined : result,
+        error: error?.message,
+        durationMs
+      });
+    }
+
+    return {
+      result: error ? error.message : typeof result === 'string' ? result : JSON.stringify(result ?? null),
+      isError: Boolean(error),
+      afterReply
+    };
+  }
+}
+
+export const toolRegistry = new ToolRegistry();
+
+/** GET /tools — definitions to configure as client tools on the ElevenLabs agent */
+export async function handleListTools(req, reply) {
+  return reply.send({ tools: toolRegistry.list() });
+}
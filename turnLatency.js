@@ -0,0 +1,125 @@
+// turnLatency.js
+import { SpeechDetector } from './speechDetector.js';
+
+/** Nearest-rank percentile of an unsorted list */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function round(ms) {
+  return ms === null ? null : Math.round(ms * 10) / 10;
+}
+
+function summarize(values) {
+  return {
+    count: values.length,
+    p50: round(percentile(values, 50)),
+    p95: round(percentile(values, 95)),
+    max: round(values.length ? values.reduce((a, b) => Math.max(a, b)) : null)
+  };
+}
+
+// Proxy percentiles come from a uniform sample of at most this many chunks
+const PROXY_SAMPLE_SIZE = 1000;
+
+/**
+ * A uniform random sample of at most `size` values (reservoir sampling) plus
+ * the exact count and max, so a long call doesn't keep every chunk's timing
+ */
+class Reservoir {
+  constructor(size) {
+    this.size = size;
+    this.samples = [];
+    this.count = 0;
+    this.max = null;
+  }
+
+  add(value) {
+    this.count++;
+    this.max = this.max === null ? value : Math.max(this.max, value);
+    if (this.samples.length < this.size) {
+      this.samples.push(value);
+      return;
+    }
+    const i = Math.floor(Math.random() * this.count);
+    if (i < this.size) this.samples[i] = value;
+  }
+
+  summary() {
+    return {
+      count: this.count,
+      p50: round(percentile(this.samples, 50)),
+      p95: round(percentile(this.samples, 95)),
+      max: round(this.max)
+    };
+  }
+}
+
+/**
+ * Conversational latency for one media stream, in milliseconds:
+ *
+ * - `firstAudioMs`: Twilio `start` to the first agent audio sent to the caller
+ * - per turn, `responseMs`: the caller's last voiced frame to the first agent
+ *   audio of the reply, with end of speech detected by energy (SpeechDetector)
+ * - `proxyMs`: each ElevenLabs audio chunk's arrival to its Twilio send
+ *
+ * Every time is taken from the monotonic clock when the event happens on
+ * this side; network time to Twilio and the caller's handset is not included.
+ */
+export class TurnLatencyTracker {
+  constructor() {
+    this.startedAt = performance.now();
+    this.speechDetector = new SpeechDetector();
+    this.lastSpeechAt = null; // last caller frame detected as speech
+    this.awaitingReply = false; // the caller has spoken since the last agent reply started
+    this.lastReplyEventId = undefined;
+    this.firstAudioMs = null;
+    this.turns = [];
+    this.proxyMs = new Reservoir(PROXY_SAMPLE_SIZE);
+  }
+
+  /** Feed a caller frame (mulaw 8kHz) as it arrives */
+  callerAudio(chunk) {
+    this.speechDetector.process(chunk);
+    if (this.speechDetector.isSpeaking) {
+      this.lastSpeechAt = performance.now();
+      this.awaitingReply = true;
+    }
+  }
+
+  /**
+   * An agent audio chunk was just sent to Twilio; `receivedAt` is when it
+   * arrived from ElevenLabs (performance.now())
+   * @returns {object|undefined} the turn, when this chunk starts a reply
+   */
+  agentAudioSent(receivedAt, eventId) {
+    const sentAt = performance.now();
+    if (receivedAt !== undefined) this.proxyMs.add(sentAt - receivedAt);
+    if (this.firstAudioMs === null) this.firstAudioMs = sentAt - this.startedAt;
+
+    if (!this.awaitingReply || (eventId !== undefined && eventId === this.lastReplyEventId)) return;
+    this.awaitingReply = false;
+    this.lastReplyEventId = eventId;
+
+    const turn = {
+      turn: this.turns.length + 1,
+      callerSpeechEndedMs: round(this.lastSpeechAt - this.startedAt),
+      agentAudioMs: round(sentAt - this.startedAt),
+      responseMs: round(sentAt - this.lastSpeechAt),
+      proxyMs: receivedAt !== undefined ? round(sentAt - receivedAt) : null
+    };
+    this.turns.push(turn);
+    return turn;
+  }
+
+  summary() {
+    return {
+      firstAudioMs: round(this.firstAudioMs),
+      response: summarize(this.turns.map(turn => turn.responseMs)),
+      proxy: this.proxyMs.summary(),
+      turns: this.turns
+    };
+  }
+}
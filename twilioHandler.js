@@ -1,14 +1,40 @@
 // twilioHandler.js
+import { randomUUID } from 'crypto';
 import Twilio from 'twilio';
-import { WebSocket } from 'ws';
 import { createElevenLabsMcpBridgeClient } from './elevenLabsMcpWithBridge.js';
+import { createElevenLabsConversation, buildInitiationData } from './elevenLabsConversation.js';
+import { callStore } from './callStore.js';
+import { SpeechDetector } from './speechDetector.js';
+import { TurnLatencyTracker } from './turnLatency.js';
+import { SignedUrlPool } from './signedUrlPool.js';
+import { createTranscoder } from './audioCodec.js';
+import { CallRecorder } from './callRecorder.js';
+import { renderSpeech } from './elevenLabsClient.js';
+import { validateAmdPolicy, resolveAmdAction, DEFAULT_VOICEMAIL_MESSAGE } from './amdPolicy.js';
+import { resolveInboundRoute } from './inboundRoutes.js';
+import { agentProfiles } from './agentProfiles.js';
+import { issueStreamToken } from './twilioSignature.js';
+import { assertCallAllowed, ComplianceError } from './compliance.js';
+import { toolRegistry } from './toolRegistry.js';
+import { webhooks } from './webhooks.js';
+import { callEvents } from './callEvents.js';
+import { audioTaps } from './listenTap.js';
+import { callSessions } from './callSessions.js';
+import {
+  activeMediaStreams,
+  callsCompleted,
+  amdResults,
+  signedUrlDuration,
+  signedUrlRetries,
+  websocketErrors,
+  audioBytes
+} from './metrics.js';
+import './realEstateTools.js';
 
 const {
   TWILIO_ACCOUNT_SID,
   TWILIO_AUTH_TOKEN,
-  TWILIO_PHONE_NUMBER,
-  ELEVENLABS_API_KEY,
-  ELEVENLABS_AGENT_ID
+  TWILIO_PHONE_NUMBER
 } = process.env;
 
 const client = Twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
@@ -19,73 +45,392 @@ const elevenLabsClient = createElevenLabsMcpBridgeClient({
   bridgeUrl: process.env.MCP_BRIDGE_URL || 'http://localhost:8001'
 });
 
-// Constants for conversation timing
-const INITIAL_SILENCE_THRESHOLD = 1500; // 1.5 seconds for initial response
-const CONVERSATION_SILENCE_THRESHOLD = 2000; // 2 seconds for ongoing conversation
+// Default agent persona
+const DEFAULT_SYSTEM_PROMPT = 'You are a friendly real estate agent offering free property valuations. Be conversational and natural. Keep responses concise and engaging.';
+const DEFAULT_FIRST_MESSAGE = "Hi, I'm calling from Acme Realty. I noticed your property might be a good fit for our current buyers. Would you be interested in a free valuation?";
+const DEFAULT_VOICE_SETTINGS = {
+  stability: 0.5,
+  similarity_boost: 0.75,
+  style: 0.0,
+  use_speaker_boost: true
+};
+
+// Twilio media streams carry 8kHz mulaw; other agent formats are transcoded
+const TWILIO_AUDIO_FORMAT = 'ulaw_8000';
+const TWILIO_BYTES_PER_MS = 8; // 8kHz, one byte per mulaw sample
+
+// Clear agent playback when local speech detection hears the caller talking over it
+const LOCAL_BARGE_IN = process.env.BARGE_IN_LOCAL_VAD === 'true';
+
+// Write a dual-channel WAV of every call
+const RECORD_CALLS = process.env.RECORD_CALLS === 'true';
+
+// How long an outbound stream holds off opening an ElevenLabs session while
+// waiting for the AMD result (0 = open immediately, close it if a machine answers).
+// Humans are usually classified within a few seconds of their greeting, and a
+// caller left waiting longer hears dead air and hangs up, so the wait is short;
+// a machine reported after it still closes the session
+const AMD_WAIT_MS = parseInt(process.env.AMD_WAIT_MS || '4000', 10);
+const VOICEMAIL_AUDIO_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Warm transfer to a human: a phone number to <Dial>, or a Twilio queue to <Enqueue> into
+const TRANSFER_NUMBER = process.env.TRANSFER_NUMBER;
+const TRANSFER_QUEUE = process.env.TRANSFER_QUEUE;
+const TRANSFER_WHISPER = process.env.TRANSFER_WHISPER !== 'false';
+const TRANSFER_DIAL_TIMEOUT = parseInt(process.env.TRANSFER_DIAL_TIMEOUT || '30', 10); // seconds
+const TRANSFER_PLAYBACK_WAIT_MS = 5000; // longest we let queued agent audio finish before redirecting
+const TRANSFER_UNAVAILABLE_MESSAGE = "Sorry, nobody is available to take your call right now. We'll call you back as soon as we can.";
+const WHISPER_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Twilio call statuses after which the call is over
+export const FINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Caller audio held while the ElevenLabs session opens; older audio is dropped past this
+const EARLY_AUDIO_MAX_BYTES = 5 * 1000 * TWILIO_BYTES_PER_MS; // 5 seconds
+const PREPARED_SESSION_TTL = 2 * 60 * 1000; // how long a call's negotiated session waits for its stream
+
+// Text injected into a live conversation by POST /calls/:sid/context and /say
+const MAX_CONTEXT_LENGTH = 5000;
+const MAX_SAY_LENGTH = 1000;
+const SAY_CHUNK_BYTES = 100 * TWILIO_BYTES_PER_MS; // spoken text is sent to Twilio in 100ms frames
+
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
 
-/** Fetch a signed URL for your ElevenLabs Conversational AI agent with retry logic */
-async function getElevenUrl(log, retryCount = 0) {
-  log.info('⏳ fetching ElevenLabs signed URL', { retryCount });
-  
+/** Fetch a signed URL for your ElevenLabs Conversational AI agent, once */
+async function fetchElevenUrl(log, agentId) {
+  log.info('⏳ fetching ElevenLabs signed URL', { agentId });
+  const observeDuration = signedUrlDuration.startTimer();
+
   try {
-    const signedUrl = await elevenLabsClient.getSignedUrl();
+    const signedUrl = await elevenLabsClient.getSignedUrl(agentId);
+    observeDuration({ outcome: 'success' });
     log.info('✅ got ElevenLabs signed URL');
     return signedUrl;
+  } catch (err) {
+    observeDuration({ outcome: 'error' });
+    throw err;
+  }
+}
+
+/** Fetch a signed URL for your ElevenLabs Conversational AI agent with retry logic */
+async function getElevenUrl(log, agentId, retryCount = 0) {
+  try {
+    return await fetchElevenUrl(log, agentId);
   } catch (err) {
     if (retryCount < MAX_RETRIES) {
       log.warn('ElevenLabs URL fetch error, retrying...', { error: err.message, retryCount });
+      signedUrlRetries.inc();
       await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * Math.pow(2, retryCount)));
-      return getElevenUrl(log, retryCount + 1);
+      return getElevenUrl(log, agentId, retryCount + 1);
     }
     throw err;
   }
 }
 
+// Signed URLs fetched ahead of calls, so opening a session skips the round
+// trip. Refills try once: the pool tops up again on its next refresh.
+const signedUrlPool = new SignedUrlPool({ fetchUrl: agentId => fetchElevenUrl(console, agentId) });
+
+/** A signed URL for a call's session: pooled if one is ready, otherwise fetched with retries */
+function takeSignedUrl(log, agentId) {
+  return signedUrlPool.take(agentId).catch(err => {
+    log.warn('⚠️ Signed URL fetch failed, retrying', { agentId, error: err.message });
+    return getElevenUrl(log, agentId);
+  });
+}
+
+/** Keep signed URLs ready for the default agent, if there is one */
+export function warmSignedUrlPool() {
+  if (process.env.ELEVENLABS_AGENT_ID) signedUrlPool.warm();
+}
+
+/** The prompt and first message a call's session overrides; a dedicated agent keeps its own unless set */
+function sessionOverrides(agent) {
+  return {
+    prompt: agent.prompt || (agent.agentId ? undefined : DEFAULT_SYSTEM_PROMPT),
+    firstMessage: agent.firstMessage || (agent.agentId ? undefined : DEFAULT_FIRST_MESSAGE)
+  };
+}
+
 /**
- * 1) HTTP POST /start-call
- *    Create an outbound call with <Connect><Stream>, which blocks TwiML
+ * The ElevenLabs WebSocket URL for a call's agent: a pooled signed URL for
+ * a dedicated agent, otherwise the MCP bridge with a pooled signed URL for
+ * the default agent as the fallback
  */
-export async function handleCallWebhook(req, reply) {
-  const { to } = req.body;
-  if (!to) {
-    return reply.status(400).send({ error: 'Phone number is required' });
+async function resolveSessionUrl(agent, log) {
+  if (agent.agentId) {
+    return takeSignedUrl(log, agent.agentId);
+  }
+
+  const { prompt, firstMessage } = sessionOverrides(agent);
+  try {
+    // Try MCP Bridge first, fallback to direct signed URL
+    log.info('🌉 Attempting to create voice agent via MCP Bridge');
+    const agentResponse = await elevenLabsClient.createVoiceAgent({
+      systemPrompt: prompt,
+      firstMessage,
+      voiceSettings: agent.voiceSettings || DEFAULT_VOICE_SETTINGS,
+      fallbackSignedUrl: () => takeSignedUrl(log)
+    });
+    log.info('✅ Created voice agent via MCP Bridge', { agentResponse });
+    return agentResponse.signed_url || await takeSignedUrl(log);
+  } catch (mcpError) {
+    log.warn('⚠️ MCP Bridge failed, falling back to direct WebSocket', { error: mcpError.message });
+    return takeSignedUrl(log);
+  }
+}
+
+// Signed URLs set aside for calls before their media stream connects, by CallSid
+const preparedSessions = new Map();
+
+/**
+ * Set a pooled signed URL aside for a call with a dedicated agent as soon as
+ * it exists, so its session can open as soon as Twilio's media stream
+ * starts. Default-agent calls go through the MCP bridge at stream start
+ * instead. Nothing else happens until then: many dialed calls are never
+ * answered.
+ */
+function prepareSession(callSid, log) {
+  const agent = callStore.get(callSid)?.agent || {};
+  if (!agent.agentId) return;
+
+  const session = signedUrlPool.take(agent.agentId).catch(err => {
+    log.warn('⚠️ Could not prepare ElevenLabs session; it will be negotiated at stream start', { callSid, error: err.message });
+    return null;
+  });
+  const timer = setTimeout(() => preparedSessions.delete(callSid), PREPARED_SESSION_TTL);
+  timer.unref();
+  preparedSessions.set(callSid, { session, timer });
+}
+
+/** The session URL prepared for a call, if any (resolves to null when preparing failed) */
+function takePreparedSession(callSid) {
+  const prepared = preparedSessions.get(callSid);
+  if (!prepared) return null;
+  preparedSessions.delete(callSid);
+  clearTimeout(prepared.timer);
+  return prepared.session;
+}
+
+// Outbound calls placed by this process that haven't reached a final status: CallSid -> placedAt
+const outboundCallsInFlight = new Map();
+
+// Calls in flight longer than this are looked up on Twilio, in case their
+// final status callback was lost or rejected
+const IN_FLIGHT_RECONCILE_AFTER_MS = 10 * 60 * 1000; // 10 minutes
+const IN_FLIGHT_RECONCILE_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+let reconcileTimer = null;
+
+/** How many outbound calls (campaigns and /start-call) are currently in flight */
+export function countOutboundCallsInFlight() {
+  return outboundCallsInFlight.size;
+}
+
+function trackOutboundCall(callSid) {
+  outboundCallsInFlight.set(callSid, Date.now());
+  if (!reconcileTimer) {
+    reconcileTimer = setInterval(reconcileOutboundCalls, IN_FLIGHT_RECONCILE_INTERVAL_MS);
+    reconcileTimer.unref();
+  }
+}
+
+/**
+ * Apply the final status Twilio has for calls that have been in flight a
+ * while, so a missed callback doesn't hold a concurrency slot (ours and the
+ * campaign dialer's) forever
+ */
+async function reconcileOutboundCalls() {
+  const placedBefore = Date.now() - IN_FLIGHT_RECONCILE_AFTER_MS;
+  const stale = [...outboundCallsInFlight].filter(([, placedAt]) => placedAt < placedBefore);
+
+  for (const [callSid] of stale) {
+    try {
+      const call = await client.calls(callSid).fetch();
+      if (!FINAL_CALL_STATUSES.includes(call.status) || !outboundCallsInFlight.has(callSid)) continue;
+
+      console.warn('⚠️ Missed final status callback; applying it from Twilio', { callSid, status: call.status });
+      recordCallStatus({
+        CallSid: callSid,
+        CallStatus: call.status,
+        CallDuration: call.duration,
+        Direction: call.direction,
+        From: call.from,
+        To: call.to
+      }, console);
+    } catch (err) {
+      console.warn('⚠️ Could not look up in-flight call', { callSid, error: err.message });
+    }
+  }
+
+  if (outboundCallsInFlight.size === 0) {
+    clearInterval(reconcileTimer);
+    reconcileTimer = null;
   }
+}
 
-  const host = req.headers.host;
+/**
+ * Build the <Connect><Stream> TwiML that points a call at our media proxy.
+ * Twilio doesn't allow a query string on Stream URLs, so the one-time token
+ * that authenticates the socket is a path segment.
+ */
+function buildStreamTwiml(host) {
   const vr = new VoiceResponse();
   const connect = vr.connect();
   
   // Configure stream with parameters for better audio quality
-  connect.stream({ 
-    url: `wss://${host}/media-stream`,
-    track: 'inbound_track',
-    parameter: {
-      audioFormat: 'mulaw',
-      sampleRate: 8000
-    }
+  const stream = connect.stream({ 
+    url: `wss://${host}/media-stream/${issueStreamToken()}`,
+    track: 'inbound_track'
+  });
+  stream.parameter({ name: 'audioFormat', value: 'mulaw' });
+  stream.parameter({ name: 'sampleRate', value: '8000' });
+
+  return vr.toString();
+}
+
+/**
+ * Place an outbound call that streams to /media-stream.
+ * Shared by /start-call and the campaign dialer. `agent` is the per-call
+ * persona, looked up by CallSid when the media stream starts. Every call
+ * passes the compliance gate first.
+ * @throws {ComplianceError} when the call isn't allowed
+ */
+export async function placeOutboundCall({
+  to,
+  host,
+  log,
+  request = {},
+  campaignId,
+  amdPolicy,
+  voicemailMessage,
+  agentProfile,
+  agent,
+  timezone
+}) {
+  assertCallAllowed(to, { timezone });
+
+  const twiml = buildStreamTwiml(host);
+  log.info('📞 TwiML for outbound call', { twiml });
+
+  const call = await client.calls.create({
+    to,
+    from: TWILIO_PHONE_NUMBER,
+    twiml,
+    statusCallback: `https://${host}/call-status`,
+    statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+    statusCallbackMethod: 'POST',
+    machineDetection: 'DetectMessageEnd', // Answering machine detection, waiting for the beep
+    asyncAmd: 'true', // Asynchronous AMD
+    asyncAmdStatusCallback: `https://${host}/amd-status` // AMD status callback
   });
+  trackOutboundCall(call.sid);
 
-  const twiml = vr.toString();
-  req.log.info('📞 TwiML for outbound call', { twiml });
+  callStore.recordCreated(call.sid, {
+    to,
+    from: TWILIO_PHONE_NUMBER,
+    direction: 'outbound-api',
+    campaignId,
+    amdPolicy,
+    voicemailMessage,
+    agentProfile,
+    agent,
+    request
+  });
+  prepareSession(call.sid, log);
+  webhooks.emit('call.initiated', callEventData(call.sid));
+
+  return call;
+}
+
+/** Fields from the call record that every webhook event carries */
+function callEventData(callSid) {
+  const call = callStore.get(callSid) || {};
+  return {
+    callSid,
+    direction: call.direction,
+    from: call.from,
+    to: call.to,
+    campaignId: call.campaignId,
+    agentProfile: call.agentProfile
+  };
+}
+
+/**
+ * HTTP POST /incoming-call
+ *    Twilio voice webhook for inbound calls: stream to the agent routed
+ *    for the called number
+ */
+export async function handleIncomingCall(req, reply) {
+  const { CallSid: callSid, From: from, To: to } = req.body;
+
+  let route;
+  try {
+    route = resolveInboundRoute(to);
+  } catch (err) {
+    req.log.error(err, '❌ Inbound routing failed');
+    const vr = new VoiceResponse();
+    vr.say('Sorry, we are unable to take your call right now. Please try again later.');
+    vr.hangup();
+    return reply.type('text/xml').send(vr.toString());
+  }
+
+  req.log.info('📲 Inbound call', { callSid, from, to, agentProfile: route.profileName, agentId: route.agent.agentId });
+
+  if (callSid) {
+    callStore.recordCreated(callSid, {
+      to,
+      from,
+      direction: 'inbound',
+      agentProfile: route.profileName,
+      agent: route.agent
+    });
+    prepareSession(callSid, req.log);
+    webhooks.emit('call.initiated', callEventData(callSid));
+  }
+
+  return reply.type('text/xml').send(buildStreamTwiml(req.headers.host));
+}
+
+/**
+ * 1) HTTP POST /start-call
+ *    Create an outbound call with <Connect><Stream>, which blocks TwiML
+ */
+export async function handleCallWebhook(req, reply) {
+  const { to } = req.body;
+  if (!to) {
+    return reply.status(400).send({ error: 'Phone number is required' });
+  }
+
+  // `agent` names a profile; persona fields in the body override it per call
+  let resolved;
+  try {
+    validateAmdPolicy(req.body.amdPolicy);
+    resolved = agentProfiles.resolve(req.body.agent, req.body);
+  } catch (err) {
+    return reply.status(400).send({ error: err.message });
+  }
 
   try {
-    const call = await client.calls.create({
+    const call = await placeOutboundCall({
       to,
-      from: TWILIO_PHONE_NUMBER,
-      twiml,
-      statusCallback: `https://${host}/call-status`,
-      statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-      statusCallbackMethod: 'POST',
-      machineDetection: 'Enable', // Enable answering machine detection
-      asyncAmd: 'true', // Asynchronous AMD
-      asyncAmdStatusCallback: `https://${host}/amd-status` // AMD status callback
+      host: req.headers.host,
+      log: req.log,
+      request: req.body,
+      amdPolicy: resolved.amdPolicy,
+      voicemailMessage: resolved.voicemailMessage,
+      agentProfile: resolved.profileName,
+      agent: resolved.agent,
+      timezone: req.body.timezone
     });
     
     req.log.info('✅ Call initiated', { callSid: call.sid });
     return reply.send({ callSid: call.sid });
   } catch (err) {
+    if (err instanceof ComplianceError) {
+      req.log.warn('🚫 Call blocked by compliance rules', { to, code: err.code, reason: err.message });
+      return reply.status(422).send({ error: err.message, code: err.code });
+    }
     req.log.error(err, '❌ Call initiation failed');
     return reply.status(500).send({ error: 'Call initiation error' });
   }
@@ -98,26 +443,233 @@ export async function handleMediaStreamSocket(twilioSocket, request, log) {
   log.info('🔌 Twilio WS connected', {
     protocol: request.headers['sec-websocket-protocol']
   });
+  activeMediaStreams.inc();
 
-  let elevenSocket, streamSid;
-  let isCallAnswered = false;
+  let conversation, streamSid, callSid;
+  let streamStartedAt = Date.now();
   let hasReceivedInitialAudio = false;
-  let silenceTimer = null;
-  let isInitialResponse = true;
   let audioBuffer = Buffer.alloc(0);
   const BUFFER_THRESHOLD = 1024; // Buffer size before sending to ElevenLabs
 
+  // Audio conversions picked from the agent's negotiated formats
+  let toAgent = null;
+  let toTwilio = null;
+
+  // Barge-in state
+  let lastInterruptedEventId = null; // agent audio up to this event id was interrupted
+  let lastForwardedEventId = null; // event id of the latest agent audio sent to Twilio
+  let agentPlaybackEndsAt = 0; // estimated time Twilio finishes playing queued agent audio
+  const speechDetector = LOCAL_BARGE_IN ? new SpeechDetector() : null;
+  let recorder = null;
+  let tap = null; // live-listen mix, fed after each frame is forwarded
+  let latency = null; // per-turn response timing, from the Twilio start event
+
+  // Answering machine detection state
+  let amdAction = null; // policy action once the AMD result is known
+  let amdArrived = Promise.resolve();
+  let removeAmdListener = null;
+
+  // Set while the call is redirected to a human; Twilio ends the stream itself
+  let handingOff = false;
+  let agentMuted = false; // agent audio is dropped instead of played to the caller
+  let session = null; // registered in callSessions once the CallSid is known
+
   // Handle WebSocket connection errors
   const handleError = (err, source) => {
     log.error(err, `❌ ${source} error`);
-    if (silenceTimer) clearTimeout(silenceTimer);
-    
-    // Close WebSocket if it exists
-    if (elevenSocket?.readyState === WebSocket.OPEN) {
-      elevenSocket.close();
+    callEvents.publish('error', callSid, { streamSid, source, message: err.message });
+    websocketErrors.inc({ source });
+    conversation?.close();
+    // Closing the stream would hang up a call that is being transferred
+    if (!handingOff) twilioSocket.close();
+  };
+
+  // Send agent audio back to the caller on the Twilio stream
+  const sendToTwilio = (audio) => {
+    const out = JSON.stringify({
+      event: 'media',
+      streamSid,
+      media: { payload: audio.toString('base64') }
+    });
+    log.info('📤 sending media → Twilio', { bytes: out.length });
+    twilioSocket.send(out);
+    audioBytes.inc({ direction: 'outbound' }, audio.length);
+
+    // Agent audio plays after whatever Twilio already has queued
+    const playbackStartsAt = Math.max(agentPlaybackEndsAt, Date.now());
+    recorder?.write('agent', audio, playbackStartsAt - streamStartedAt);
+    tap?.write('agent', audio, playbackStartsAt - streamStartedAt);
+    agentPlaybackEndsAt = playbackStartsAt + audio.length / TWILIO_BYTES_PER_MS;
+  };
+
+  // Drop agent audio Twilio has queued but not yet played
+  const clearTwilioPlayback = (reason) => {
+    if (!streamSid) return;
+    twilioSocket.send(JSON.stringify({ event: 'clear', streamSid }));
+    recorder?.truncate('agent', Date.now() - streamStartedAt);
+    tap?.truncate('agent', Date.now() - streamStartedAt);
+    agentPlaybackEndsAt = 0;
+    log.info('🧹 Cleared Twilio playback', { callSid, reason });
+  };
+
+  // Negotiate an ElevenLabs session and wire its events to the Twilio stream
+  const finishRecording = async () => {
+    if (!recorder) return;
+    const finished = recorder;
+    recorder = null;
+    if (await finished.finish()) {
+      callStore.recordRecording(finished.callSid, { file: finished.filePath, durationMs: finished.durationMs });
     }
-    
-    twilioSocket.close();
+  };
+
+  const startConversation = async () => {
+    // Give AMD a chance to report before spending a session on a machine
+    if (amdAction === null && AMD_WAIT_MS > 0 && callStore.get(callSid)?.direction === 'outbound-api') {
+      log.info('⏳ Waiting for AMD result before opening ElevenLabs session', { callSid, AMD_WAIT_MS });
+      await Promise.race([amdArrived, new Promise(resolve => setTimeout(resolve, AMD_WAIT_MS))]);
+    }
+    if (amdAction && amdAction !== 'continue') {
+      log.info('📠 Not opening ElevenLabs session for machine-answered call', { callSid, amdAction });
+      return;
+    }
+
+    // Per-call persona from an agent profile, /start-call, a campaign or an inbound route
+    const agent = callStore.get(callSid)?.agent || {};
+    const { prompt, firstMessage } = sessionOverrides(agent);
+
+    // Usually set aside while the call was ringing; otherwise negotiated now,
+    // through the MCP bridge for the default agent. Either way the persona
+    // reaches the agent as initiation overrides
+    const wsUrl = await takePreparedSession(callSid) || await resolveSessionUrl(agent, log);
+    if (twilioSocket.readyState !== twilioSocket.OPEN) {
+      log.info('🔌 Twilio stream closed before the ElevenLabs session opened', { callSid });
+      return;
+    }
+
+    log.info('🔌 Opening ElevenLabs WS', { wsUrl });
+    conversation = createElevenLabsConversation({
+      url: wsUrl,
+      log,
+      initiationData: buildInitiationData({
+        prompt,
+        firstMessage,
+        language: agent.language,
+        voiceId: agent.voiceId,
+        voiceSettings: agent.voiceSettings,
+        dynamicVariables: agent.dynamicVariables
+      })
+    });
+
+    conversation.on('metadata', ({ conversationId, agentOutputAudioFormat, userInputAudioFormat }) => {
+      log.info('🆔 ElevenLabs conversation started', {
+        callSid,
+        conversationId,
+        agentOutputAudioFormat,
+        userInputAudioFormat
+      });
+      try {
+        toAgent = createTranscoder(TWILIO_AUDIO_FORMAT, userInputAudioFormat || TWILIO_AUDIO_FORMAT);
+        toTwilio = createTranscoder(agentOutputAudioFormat || TWILIO_AUDIO_FORMAT, TWILIO_AUDIO_FORMAT);
+      } catch (err) {
+        return handleError(err, 'Audio format negotiation');
+      }
+      if (!toAgent.isPassthrough || !toTwilio.isPassthrough) {
+        log.info('🎚️ Transcoding audio', {
+          inbound: `${TWILIO_AUDIO_FORMAT} → ${userInputAudioFormat}`,
+          outbound: `${agentOutputAudioFormat} → ${TWILIO_AUDIO_FORMAT}`
+        });
+      }
+      if (callSid && conversationId) callStore.recordConversation(callSid, conversationId);
+    });
+
+    conversation.on('audio', (audio, eventId, receivedAt) => {
+      if (lastInterruptedEventId !== null && eventId <= lastInterruptedEventId) {
+        log.info('🗑️ Dropping audio from interrupted response', { eventId });
+        return;
+      }
+      if (agentMuted) return;
+      log.info('🗨️ ElevenLabs → audio chunk', { bytes: audio.length, eventId });
+      sendToTwilio(toTwilio ? toTwilio.process(audio) : audio);
+      if (eventId !== undefined) lastForwardedEventId = eventId;
+
+      const turn = latency?.agentAudioSent(receivedAt, eventId);
+      if (turn) log.info('⏱️ Turn latency', { callSid, ...turn });
+    });
+
+    conversation.on('interruption', eventId => {
+      log.info('✋ ElevenLabs interruption', { callSid, eventId });
+      if (eventId !== undefined) lastInterruptedEventId = eventId;
+      clearTwilioPlayback('interruption');
+    });
+
+    conversation.on('user_transcript', event => {
+      const text = event.user_transcription_event?.user_transcript;
+      log.info('🧑 Caller said', { callSid, text });
+      if (callSid && text) {
+        callStore.recordTurn(callSid, { speaker: 'user', text, offsetMs: Date.now() - streamStartedAt });
+        callEvents.publish('transcript', callSid, { speaker: 'user', text });
+      }
+    });
+
+    conversation.on('agent_response', event => {
+      const text = event.agent_response_event?.agent_response;
+      log.info('🤖 Agent said', { callSid, text });
+      if (callSid && text) {
+        callStore.recordTurn(callSid, { speaker: 'agent', text, offsetMs: Date.now() - streamStartedAt });
+        callEvents.publish('transcript', callSid, { speaker: 'agent', text });
+      }
+    });
+
+    conversation.on('agent_response_correction', event => {
+      const { original_agent_response, corrected_agent_response } = event.agent_response_correction_event || {};
+      if (callSid && original_agent_response) {
+        callStore.recordTurnCorrection(callSid, original_agent_response, corrected_agent_response);
+      }
+    });
+
+    conversation.on('client_tool_call', async event => {
+      const { tool_name: name, tool_call_id: toolCallId, parameters = {} } = event.client_tool_call || {};
+      const outcome = await toolRegistry.dispatch({
+        name,
+        toolCallId,
+        parameters,
+        allowedTools: agent.tools,
+        context: { callSid, call: callStore.get(callSid), host: request.headers.host, log }
+      });
+
+      conversation.send({
+        type: 'client_tool_result',
+        tool_call_id: toolCallId,
+        result: outcome.result,
+        is_error: outcome.isError
+      });
+      callEvents.publish('tool.call', callSid, {
+        name,
+        toolCallId,
+        parameters,
+        result: outcome.result,
+        isError: outcome.isError
+      });
+      webhooks.emit('tool.invoked', {
+        ...callEventData(callSid),
+        name,
+        toolCallId,
+        parameters,
+        result: outcome.result,
+        isError: outcome.isError
+      });
+      for (const fn of outcome.afterReply) {
+        Promise.resolve().then(fn).catch(err => log.error(err, `❌ ${name} follow-up failed`));
+      }
+    });
+
+    conversation.on('error', err => handleError(err, 'ElevenLabs WS'));
+    conversation.on('close', (code, reason) => {
+      log.info('✂️ ElevenLabs WS closed', { code, reason });
+      // After a machine result or a transfer the call is redirected by TwiML;
+      // closing the stream here would end the call before the new TwiML runs
+      if (!handingOff && (!amdAction || amdAction === 'continue')) twilioSocket.close();
+    });
   };
 
   twilioSocket.on('message', async raw => {
@@ -137,147 +689,163 @@ export async function handleMediaStreamSocket(twilioSocket, request, log) {
 
       case 'start':
         streamSid = msg.start.streamSid;
+        callSid = msg.start.callSid;
+        streamStartedAt = Date.now();
         log.info('▶️ Twilio event "start"', {
           streamSid, 
+          callSid,
           tracks: msg.start.tracks
         });
+        callEvents.publish('stream.start', callSid, { streamSid, tracks: msg.start.tracks });
+        if (RECORD_CALLS && callSid) {
+          recorder = new CallRecorder(callSid, { log });
+        }
+        if (callSid) tap = audioTaps.open(callSid, streamStartedAt);
+        latency = new TurnLatencyTracker();
+
+        if (callSid) {
+          session = callSessions.register({
+            callSid,
+            streamSid,
+            describe: () => {
+              const call = callStore.get(callSid);
+              return {
+                callSid,
+                streamSid,
+                direction: call?.direction,
+                from: call?.from,
+                to: call?.to,
+                agentProfile: call?.agentProfile,
+                campaignId: call?.campaignId,
+                conversationId: call?.conversationId,
+                startedAt: new Date(streamStartedAt).toISOString(),
+                durationMs: Date.now() - streamStartedAt,
+                agentConnected: session.agentConnected,
+                agentMuted,
+                handingOff,
+                listeners: tap?.listeners.size || 0
+              };
+            },
+            // Stop the agent and let its queued audio finish before the call
+            // is redirected; resolves once it is safe to update the call
+            beginHandoff: async () => {
+              handingOff = true;
+              conversation?.close();
+              const remainingMs = Math.min(Math.max(agentPlaybackEndsAt - Date.now(), 0), TRANSFER_PLAYBACK_WAIT_MS);
+              await new Promise(resolve => setTimeout(resolve, remainingMs));
+            },
+            // The redirect failed: end the stream rather than leave dead air
+            abortHandoff: () => twilioSocket.close(),
+            // The agent keeps listening and responding; the caller just doesn't hear it
+            setAgentMuted: muted => {
+              agentMuted = muted;
+              if (muted) clearTwilioPlayback('agent muted');
+              log.info(muted ? '🔇 Agent muted' : '🔊 Agent unmuted', { callSid });
+              callEvents.publish('agent.mute', callSid, { streamSid, muted });
+            },
+            close: () => {
+              conversation?.close();
+              twilioSocket.close();
+            },
+            get agentConnected() {
+              return Boolean(conversation?.isOpen);
+            },
+            get agentMuted() {
+              return agentMuted;
+            },
+            // The voice injected speech is rendered in; a dedicated agent's own
+            // voice isn't known here, so its profile must name it
+            get voiceId() {
+              const agent = callStore.get(callSid)?.agent || {};
+              return agent.voiceId || (agent.agentId ? undefined : process.env.ELEVENLABS_VOICE_ID);
+            },
+            // Background for the agent's next replies; nothing is said
+            sendContext: text => {
+              if (!conversation?.send({ type: 'contextual_update', text })) return false;
+              log.info('📝 Sent context to agent', { callSid, length: text.length });
+              callEvents.publish('agent.context', callSid, { streamSid, text });
+              return true;
+            },
+            // Speak text in the agent's voice after any agent audio already queued,
+            // then tell the agent it was said; resolves to the audio length in ms,
+            // or null if the call ended or the agent was muted meanwhile
+            say: async text => {
+              const audio = await renderSpeech(text, { voiceId: session.voiceId, outputFormat: TWILIO_AUDIO_FORMAT });
+              if (twilioSocket.readyState !== twilioSocket.OPEN || agentMuted) return null;
+              for (let i = 0; i < audio.length; i += SAY_CHUNK_BYTES) {
+                sendToTwilio(audio.subarray(i, i + SAY_CHUNK_BYTES));
+              }
+              conversation?.send({ type: 'contextual_update', text: `You just said this to the caller: "${text}"` });
+              log.info('📢 Agent said injected text', { callSid, text });
+              callStore.recordTurn(callSid, { speaker: 'agent', text, offsetMs: Date.now() - streamStartedAt });
+              callEvents.publish('transcript', callSid, { speaker: 'agent', text });
+              return audio.length / TWILIO_BYTES_PER_MS;
+            }
+          });
+        }
+
+        if (callSid) {
+          const call = callStore.get(callSid);
+          if (call?.answeredBy) amdAction = resolveAmdAction(call.amdPolicy, call.answeredBy);
+          amdArrived = new Promise(resolve => {
+            removeAmdListener = onAmdResult(callSid, action => {
+              amdAction = action;
+              resolve();
+              if (action !== 'continue' && conversation) {
+                log.info('📠 Machine answered — closing ElevenLabs session', { callSid, action });
+                conversation.close();
+              }
+            });
+          });
+        }
+
+        // Open the agent session now rather than on the first caller audio,
+        // which is buffered until the session is ready
+        startConversation().catch(err => handleError(err, 'ElevenLabs connection'));
         break;
 
       case 'media':
         if (msg.media.track === 'inbound') {
-          const pcm = Buffer.from(msg.media.payload, 'base64');
+          const chunk = Buffer.from(msg.media.payload, 'base64');
+          audioBytes.inc({ direction: 'inbound' }, chunk.length);
+          const timestamp = Number(msg.media.timestamp);
+          recorder?.write('caller', chunk, Number.isFinite(timestamp) ? timestamp : Date.now() - streamStartedAt);
           
-          // Buffer audio data
-          audioBuffer = Buffer.concat([audioBuffer, pcm]);
+          // Caller talking over the agent: stop playback before ElevenLabs reacts
+          if (speechDetector?.process(chunk) && Date.now() < agentPlaybackEndsAt) {
+            // Drop the rest of what was cleared too, or it plays on after the clear
+            if (lastForwardedEventId !== null) lastInterruptedEventId = lastForwardedEventId;
+            clearTwilioPlayback('local speech detected');
+          }
+
+          // Buffer audio data, keeping at most the latest few seconds while the session opens
+          audioBuffer = Buffer.concat([audioBuffer, chunk]);
+          if (audioBuffer.length > EARLY_AUDIO_MAX_BYTES) {
+            audioBuffer = audioBuffer.subarray(audioBuffer.length - EARLY_AUDIO_MAX_BYTES);
+          }
           
           // Check if this is the first audio we've received
-          if (!hasReceivedInitialAudio && audioBuffer.length > 0) {
+          if (!hasReceivedInitialAudio) {
             hasReceivedInitialAudio = true;
             log.info('👋 Received initial audio from caller');
-            
-            try {
-              // Try MCP Bridge first, fallback to direct WebSocket
-              log.info('🌉 Attempting to create voice agent via MCP Bridge');
-              
-              try {
-                const agentResponse = await elevenLabsClient.createVoiceAgent({
-                  systemPrompt: 'You are a friendly real estate agent offering free property valuations. Be conversational and natural. Keep responses concise and engaging.',
-                  firstMessage: "Hi, I'm calling from Acme Realty. I noticed your property might be a good fit for our current buyers. Would you be interested in a free valuation?",
-                  voiceSettings: {
-                    stability: 0.5,
-                    similarity_boost: 0.75,
-                    style: 0.0,
-                    use_speaker_boost: true
-                  }
-                });
-                
-                log.info('✅ Created voice agent via MCP Bridge', { agentResponse });
-                
-                // Use signed URL from MCP or fallback
-                const wsUrl = agentResponse.signed_url || await getElevenUrl(log);
-                log.info('🔌 Opening ElevenLabs WS', { wsUrl });
-                elevenSocket = new WebSocket(wsUrl);
-                
-                setupWebSocket(elevenSocket, twilioSocket, streamSid, log);
-              } catch (mcpError) {
-                log.warn('⚠️ MCP Bridge failed, falling back to direct WebSocket', { error: mcpError.message });
-                
-                // Fallback to direct WebSocket connection
-                const wsUrl = await getElevenUrl(log);
-                log.info('🔌 Opening ElevenLabs WS (direct fallback)', { wsUrl });
-                elevenSocket = new WebSocket(wsUrl);
-                
-                setupWebSocket(elevenSocket, twilioSocket, streamSid, log);
-              }
-
-              
-              // Function to set up the WebSocket connection
-              function setupWebSocket(socket, twilioSocket, streamSid, log) {
-                socket.on('open', () => {
-                  log.info('🗨️ ElevenLabs WS open – sending init prompt');
-                  socket.send(JSON.stringify({
-                    system_prompt: 'You are a friendly real estate agent offering free property valuations. Be conversational and natural. Keep responses concise and engaging.',
-                    first_message: "Hi, I'm calling from Acme Realty. I noticed your property might be a good fit for our current buyers. Would you be interested in a free valuation?",
-                    stream: true,
-                    voice_settings: {
-                      stability: 0.5,
-                      similarity_boost: 0.75,
-                      style: 0.0,
-                      use_speaker_boost: true
-                    }
-                  }));
-                });
-
-                socket.on('message', data => {
-                  if (data instanceof Buffer) {
-                    log.info('🗨️ ElevenLabs → audio chunk', { bytes: data.length });
-                    const payload = data.toString('base64');
-                    const out = JSON.stringify({
-                      event: 'media',
-                      streamSid,
-                      media: { payload }
-                    });
-                    log.info('📤 sending media → Twilio', { bytes: out.length });
-                    twilioSocket.send(out);
-                  }
-                });
-
-                socket.on('error', err => handleError(err, 'ElevenLabs WS'));
-                socket.on('close', (code, reason) => {
-                  log.info('✂️ ElevenLabs WS closed', { code, reason });
-                  const stopMsg = JSON.stringify({ event: 'stop', streamSid });
-                  twilioSocket.send(stopMsg);
-                  twilioSocket.close();
-                });
-              }
-            } catch (err) {
-              handleError(err, 'ElevenLabs connection');
-            }
           }
 
-          // Forward buffered audio to ElevenLabs via WebSocket
-          if (audioBuffer.length >= BUFFER_THRESHOLD && elevenSocket?.readyState === WebSocket.OPEN) {
-            elevenSocket.send(audioBuffer);
-            
+          // Forward buffered audio to ElevenLabs as user_audio_chunk messages
+          // once the agent's input format is known
+          if (audioBuffer.length >= BUFFER_THRESHOLD && conversation?.isOpen && toAgent) {
+            conversation.sendUserAudio(toAgent.process(audioBuffer));
             audioBuffer = Buffer.alloc(0);
-            
-            // Reset silence timer when we receive audio
-            if (silenceTimer) {
-              clearTimeout(silenceTimer);
-            }
-            
-            // Set new silence timer with appropriate threshold
-            const threshold = isInitialResponse ? INITIAL_SILENCE_THRESHOLD : CONVERSATION_SILENCE_THRESHOLD;
-            silenceTimer = setTimeout(() => {
-              log.info('🤫 Detected silence, prompting for response', { 
-                threshold,
-                isInitialResponse 
-              });
-              
-              // Send silence notification via WebSocket
-              if (elevenSocket?.readyState === WebSocket.OPEN) {
-                elevenSocket.send(JSON.stringify({
-                  type: 'silence_detected',
-                  duration: threshold,
-                  isInitialResponse
-                }));
-              }
-              
-              isInitialResponse = false;
-            }, threshold);
           }
+
+          tap?.write('caller', chunk, Number.isFinite(timestamp) ? timestamp : Date.now() - streamStartedAt);
+          latency?.callerAudio(chunk);
         }
         break;
 
       case 'stop':
         log.info('⏹️ Twilio event "stop" — tearing down');
-        if (silenceTimer) clearTimeout(silenceTimer);
-        
-        // Close WebSocket if it exists
-        if (elevenSocket?.readyState === WebSocket.OPEN) {
-          elevenSocket.close();
-        }
-        
+        callEvents.publish('stream.stop', callSid, { streamSid });
+        conversation?.close();
         twilioSocket.close();
         break;
 
@@ -288,20 +856,42 @@ export async function handleMediaStreamSocket(twilioSocket, request, log) {
 
   twilioSocket.on('close', (code, reason) => {
     log.info('🔌 Twilio WS closed', { code, reason });
-    if (silenceTimer) clearTimeout(silenceTimer);
-    
-    // Close WebSocket if it exists
-    if (elevenSocket?.readyState === WebSocket.OPEN) {
-      elevenSocket.close();
+    activeMediaStreams.dec();
+    conversation?.close();
+    removeAmdListener?.();
+    if (session) callSessions.unregister(session);
+    finishRecording();
+    if (tap) audioTaps.close(tap);
+    if (callSid && latency && latency.firstAudioMs !== null) {
+      const summary = latency.summary();
+      callStore.recordLatency(callSid, summary);
+      log.info('⏱️ Call latency', { callSid, firstAudioMs: summary.firstAudioMs, response: summary.response, proxy: summary.proxy });
+    }
+    if (callSid && hasReceivedInitialAudio) {
+      webhooks.emit('transcript.ready', { ...callEventData(callSid), transcript: callStore.getTranscript(callSid) });
     }
   });
 
   twilioSocket.on('error', err => handleError(err, 'Twilio WS'));
 }
 
+// Listeners notified of every Twilio status callback (e.g. the campaign dialer)
+const callStatusListeners = new Set();
+
+/** Subscribe to Twilio call status callbacks; returns an unsubscribe function */
+export function onCallStatus(listener) {
+  callStatusListeners.add(listener);
+  return () => callStatusListeners.delete(listener);
+}
+
 export async function handleCallStatus(req, reply) {
-  const callStatus = req.body;
-  req.log.info({
+  recordCallStatus(req.body, req.log);
+  return reply.send({ ok: true });
+}
+
+/** Record a call status, from Twilio's callback or looked up after a missed one, and notify listeners */
+function recordCallStatus(callStatus, log) {
+  log.info({
     callSid: callStatus.CallSid,
     callStatus: callStatus.CallStatus,
     callDuration: callStatus.CallDuration,
@@ -311,8 +901,90 @@ export async function handleCallStatus(req, reply) {
     timestamp: callStatus.Timestamp,
     rawStatus: callStatus
   }, 'Call status update received');
-  
-  return reply.send({ ok: true });
+
+  if (callStatus.CallSid) {
+    const wasAnswered = Boolean(callStore.get(callStatus.CallSid)?.answeredAt);
+    callEvents.publish('call.status', callStatus.CallSid, {
+      status: callStatus.CallStatus,
+      duration: callStatus.CallDuration
+    });
+    callStore.recordStatus(callStatus.CallSid, {
+      status: callStatus.CallStatus,
+      duration: callStatus.CallDuration,
+      timestamp: callStatus.Timestamp,
+      direction: callStatus.Direction,
+      from: callStatus.From,
+      to: callStatus.To
+    });
+
+    if (callStatus.CallStatus === 'in-progress' && !wasAnswered) {
+      webhooks.emit('call.answered', callEventData(callStatus.CallSid));
+    } else if (FINAL_CALL_STATUSES.includes(callStatus.CallStatus)) {
+      outboundCallsInFlight.delete(callStatus.CallSid);
+      callsCompleted.inc({ status: callStatus.CallStatus });
+      const call = callStore.get(callStatus.CallSid);
+      webhooks.emit('call.completed', {
+        ...callEventData(callStatus.CallSid),
+        status: callStatus.CallStatus,
+        duration: call.duration,
+        answeredBy: call.answeredBy
+      });
+    }
+  }
+
+  for (const listener of callStatusListeners) {
+    try {
+      listener(callStatus);
+    } catch (err) {
+      log.error(err, '❌ Call status listener failed');
+    }
+  }
+}
+
+// Media streams waiting on an AMD result, by CallSid
+const amdListeners = new Map();
+
+function onAmdResult(callSid, listener) {
+  amdListeners.set(callSid, listener);
+  return () => amdListeners.delete(callSid);
+}
+
+// Rendered voicemail audio served to Twilio's <Play>, by one-time token
+const voicemailAudio = new Map();
+
+/** Hang up, leave a voicemail or let the agent continue, per the call's AMD policy */
+async function applyAmdAction({ callSid, action, voicemailMessage, host, log }) {
+  switch (action) {
+    case 'hangup':
+      await client.calls(callSid).update({ status: 'completed' });
+      log.info('📴 Hung up after AMD result', { callSid });
+      break;
+
+    case 'voicemail': {
+      const message = voicemailMessage || DEFAULT_VOICEMAIL_MESSAGE;
+      const vr = new VoiceResponse();
+
+      try {
+        const audio = await renderSpeech(message);
+        const token = randomUUID();
+        voicemailAudio.set(token, audio);
+        setTimeout(() => voicemailAudio.delete(token), VOICEMAIL_AUDIO_TTL).unref();
+        vr.play(`https://${host}/voicemail/${token}`);
+      } catch (err) {
+        // Fall back to Twilio's own TTS rather than leaving nothing
+        log.warn('⚠️ ElevenLabs voicemail TTS failed, using <Say>', { callSid, error: err.message });
+        vr.say(message);
+      }
+      vr.hangup();
+
+      await client.calls(callSid).update({ twiml: vr.toString() });
+      log.info('📼 Leaving voicemail', { callSid });
+      break;
+    }
+
+    default:
+      // 'continue': the call stays connected to the agent
+  }
 }
 
 export async function handleAmdStatus(req, reply) {
@@ -322,6 +994,338 @@ export async function handleAmdStatus(req, reply) {
     amdResult: amdStatus.AnsweredBy,
     rawStatus: amdStatus
   }, 'AMD status update received');
+
+  const { CallSid: callSid, AnsweredBy: answeredBy } = amdStatus;
+  if (callSid && answeredBy) {
+    const call = callStore.get(callSid);
+    const action = resolveAmdAction(call?.amdPolicy, answeredBy);
+    callStore.recordAmd(callSid, answeredBy, action);
+    callEvents.publish('amd.result', callSid, { answeredBy, action });
+    amdResults.inc({ answered_by: answeredBy });
+    webhooks.emit('call.amd_result', { ...callEventData(callSid), answeredBy, action });
+    amdListeners.get(callSid)?.(action);
+
+    // Act after acknowledging Twilio; rendering a voicemail can take a moment
+    applyAmdAction({
+      callSid,
+      action,
+      voicemailMessage: call?.voicemailMessage,
+      host: req.headers.host,
+      log: req.log
+    }).catch(err => req.log.error(err, '❌ AMD action failed'));
+  }
   
   return reply.send({ ok: true });
 }
+
+/** GET /voicemail/:token — voicemail audio for Twilio's <Play> */
+export async function handleVoicemailAudio(req, reply) {
+  const audio = voicemailAudio.get(req.params.token);
+  if (!audio) {
+    return reply.status(404).send({ error: 'Voicemail audio not found' });
+  }
+  return reply.type('audio/mpeg').send(audio);
+}
+
+// Whisper summaries played to the human before a transferred call connects, by one-time token
+const whisperMessages = new Map();
+
+/**
+ * Where a transfer goes: an explicit number or queue, else TRANSFER_NUMBER /
+ * TRANSFER_QUEUE
+ * @throws {Error} when there is nowhere to transfer to
+ */
+function resolveTransferTarget({ to, queue } = {}) {
+  if (to) {
+    if (!/^\+\d{7,15}$/.test(to)) throw new Error('to must be an E.164 phone number');
+    return { to };
+  }
+  if (queue) return { queue };
+  if (TRANSFER_NUMBER) return { to: TRANSFER_NUMBER };
+  if (TRANSFER_QUEUE) return { queue: TRANSFER_QUEUE };
+  throw new Error('No transfer destination configured (set TRANSFER_NUMBER or TRANSFER_QUEUE)');
+}
+
+/** What the human hears before being connected: who is calling, why, and what was said */
+function buildWhisper(callSid, { reason, summary }) {
+  const call = callStore.get(callSid);
+  const caller = call?.direction === 'inbound' ? call?.from : call?.to;
+  const parts = [`Transferred call${caller ? ` with ${caller.replace(/\D/g, '').split('').join(' ')}` : ''}.`];
+  if (reason) parts.push(`Reason: ${reason}.`);
+
+  if (summary) {
+    parts.push(summary);
+  } else {
+    const lastTurns = callStore.getTranscript(callSid).slice(-6);
+    if (lastTurns.length) {
+      parts.push('Most recently:', ...lastTurns.map(turn => `${turn.speaker === 'user' ? 'Caller' : 'Agent'}: ${turn.text}`));
+    }
+  }
+  return parts.join(' ').slice(0, 1000);
+}
+
+/**
+ * Hand a live call to a human: stop the agent, then redirect the call to
+ * TwiML that <Dial>s the number (with an optional whisper) or <Enqueue>s it.
+ * Updating the call's TwiML ends the <Connect><Stream>, so Twilio closes the
+ * media stream itself.
+ */
+export async function transferCall({ callSid, to, queue, reason, summary, whisper = TRANSFER_WHISPER, requestedBy, host, log }) {
+  const target = resolveTransferTarget({ to, queue });
+  const vr = new VoiceResponse();
+
+  if (target.to) {
+    // Twilio runs the action's TwiML whenever the <Dial> ends, answered or not
+    const dial = vr.dial({ timeout: TRANSFER_DIAL_TIMEOUT, action: `https://${host}/transfer-dial-status` });
+    if (whisper) {
+      const token = randomUUID();
+      whisperMessages.set(token, buildWhisper(callSid, { reason, summary }));
+      setTimeout(() => whisperMessages.delete(token), WHISPER_TTL).unref();
+      dial.number({ url: `https://${host}/transfer-whisper/${token}` }, target.to);
+    } else {
+      dial.number(target.to);
+    }
+  } else {
+    vr.enqueue(target.queue);
+  }
+
+  callStore.recordTransfer(callSid, { ...target, reason, requestedBy, status: 'transferring' });
+  log.info('🙋 Transferring call to a human', { callSid, ...target, requestedBy });
+
+  const stream = callSessions.get(callSid);
+  await stream?.beginHandoff();
+
+  try {
+    await client.calls(callSid).update({ twiml: vr.toString() });
+  } catch (err) {
+    callStore.recordTransfer(callSid, { ...target, reason, requestedBy, status: 'failed', error: err.message });
+    stream?.abortHandoff();
+    throw err;
+  }
+  return target;
+}
+
+/** Hang up once the agent's queued audio (e.g. its goodbye) has played */
+async function endCall({ callSid, log }) {
+  await callSessions.get(callSid)?.beginHandoff();
+  await client.calls(callSid).update({ status: 'completed' });
+  log.info('📴 Agent ended the call', { callSid });
+}
+
+// Telephony tools the agent can call; business tools live in realEstateTools.js
+toolRegistry.register('transfer_to_human', {
+  description: 'Transfer the caller to a human colleague, e.g. when they are ready to talk to someone',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string', description: 'Why the caller is being transferred' },
+      summary: { type: 'string', description: 'Short summary of the conversation for the human' }
+    }
+  },
+  // The agent can't pick the destination; only the configured one is dialed
+  handler: ({ reason, summary }, { callSid, host, log, afterReply }) => {
+    const target = resolveTransferTarget();
+    afterReply(() => transferCall({ ...target, callSid, reason, summary, requestedBy: 'agent', host, log }));
+    return 'Transferring the caller to a human now.';
+  }
+});
+
+toolRegistry.register('end_call', {
+  description: 'Hang up after saying goodbye',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string', description: 'Why the call is ending' }
+    }
+  },
+  handler: (parameters, { callSid, log, afterReply }) => {
+    afterReply(() => endCall({ callSid, log }));
+    return 'Ending the call.';
+  }
+});
+
+/** POST /calls/:sid/transfer `{ to?, queue?, reason?, summary?, whisper? }` */
+export async function handleTransferCall(req, reply) {
+  const callSid = req.params.sid;
+  const call = callStore.get(callSid);
+  if (!call) {
+    return reply.status(404).send({ error: 'Call not found' });
+  }
+  if (call.endedAt) {
+    return reply.status(409).send({ error: 'Call has already ended' });
+  }
+
+  const { to, queue, reason, summary, whisper } = req.body || {};
+  try {
+    resolveTransferTarget({ to, queue });
+  } catch (err) {
+    return reply.status(400).send({ error: err.message });
+  }
+
+  try {
+    const target = await transferCall({
+      callSid,
+      to,
+      queue,
+      reason,
+      summary,
+      whisper: whisper ?? TRANSFER_WHISPER,
+      requestedBy: 'api',
+      host: req.headers.host,
+      log: req.log
+    });
+    return reply.send({ callSid, status: 'transferring', ...target });
+  } catch (err) {
+    req.log.error(err, '❌ Transfer failed');
+    return reply.status(502).send({ error: 'Transfer failed' });
+  }
+}
+
+// <Dial> outcomes where the human never spoke to the caller
+const UNANSWERED_DIAL_STATUSES = ['no-answer', 'busy', 'failed'];
+
+/**
+ * POST /transfer-dial-status — the transfer <Dial>'s action: apologise if
+ * the human didn't pick up, otherwise the conversation is over so hang up
+ */
+export async function handleTransferDialStatus(req, reply) {
+  const { CallSid: callSid, DialCallStatus: dialStatus } = req.body || {};
+  const vr = new VoiceResponse();
+  if (UNANSWERED_DIAL_STATUSES.includes(dialStatus)) {
+    req.log.info('🙋 Transfer not answered', { callSid, dialStatus });
+    vr.say(TRANSFER_UNAVAILABLE_MESSAGE);
+  }
+  vr.hangup();
+  return reply.type('text/xml').send(vr.toString());
+}
+
+/** POST /transfer-whisper/:token — TwiML Twilio runs on the human's leg before connecting */
+export async function handleTransferWhisper(req, reply) {
+  const vr = new VoiceResponse();
+  const message = whisperMessages.get(req.params.token);
+  if (message) {
+    whisperMessages.delete(req.params.token);
+    vr.say(message);
+  }
+  return reply.type('text/xml').send(vr.toString());
+}
+
+/**
+ * POST /calls/:sid/hangup
+ *    End a call by CallSid (or a live stream's StreamSid): Twilio hangs up
+ *    the call and the media stream's sockets are closed
+ */
+export async function handleHangupCall(req, reply) {
+  const session = callSessions.get(req.params.sid);
+  const callSid = session?.callSid || req.params.sid;
+  const call = callStore.get(callSid);
+  if (!session && !call) {
+    return reply.status(404).send({ error: 'Call not found' });
+  }
+  if (!session && call.endedAt) {
+    return reply.status(409).send({ error: 'Call has already ended' });
+  }
+
+  // A call that hasn't been answered yet can only be canceled
+  const status = session || call?.answeredAt ? 'completed' : 'canceled';
+  callStore.recordHangup(callSid, { requestedBy: 'api', keyId: req.apiKey?.id });
+  req.log.info('📴 Hanging up call', { callSid, status, keyId: req.apiKey?.id });
+
+  try {
+    await client.calls(callSid).update({ status });
+  } catch (err) {
+    req.log.error(err, '❌ Hangup failed');
+    // Still stop the agent; without the stream Twilio ends the call anyway
+    session?.close();
+    return reply.status(502).send({ error: 'Hangup failed' });
+  }
+  session?.close();
+  return reply.send({ callSid, status });
+}
+
+/**
+ * POST /calls/:sid/mute-agent `{ muted? }`
+ *    Stop playing the agent to the caller (`muted: false` resumes). The
+ *    agent still hears the caller and keeps responding, unheard
+ */
+export async function handleMuteAgent(req, reply) {
+  const session = callSessions.get(req.params.sid);
+  if (!session) {
+    return reply.status(404).send({ error: 'No live media stream for this call' });
+  }
+
+  const { muted = true } = req.body || {};
+  if (typeof muted !== 'boolean') {
+    return reply.status(400).send({ error: 'muted must be a boolean' });
+  }
+
+  session.setAgentMuted(muted);
+  return reply.send({ callSid: session.callSid, agentMuted: muted });
+}
+
+/** The `text` of a context or say request, or null when it is missing or too long */
+function injectedText(body, maxLength) {
+  const { text } = body || {};
+  return typeof text === 'string' && text.trim() && text.length <= maxLength ? text : null;
+}
+
+/**
+ * POST /calls/:sid/context `{ text }`
+ *    Send the live agent a contextual update, e.g. a CRM record that loaded
+ *    late or an instruction from a supervisor. The agent uses it in its
+ *    following replies without interrupting or saying anything itself
+ */
+export async function handleInjectContext(req, reply) {
+  const session = callSessions.get(req.params.sid);
+  if (!session) {
+    return reply.status(404).send({ error: 'No live media stream for this call' });
+  }
+  const text = injectedText(req.body, MAX_CONTEXT_LENGTH);
+  if (!text) {
+    return reply.status(400).send({ error: `text must be a non-empty string of at most ${MAX_CONTEXT_LENGTH} characters` });
+  }
+  if (!session.sendContext(text)) {
+    return reply.status(409).send({ error: 'The agent is not connected to this call' });
+  }
+
+  callStore.recordInjection(session.callSid, { kind: 'context', text, requestedBy: 'api', keyId: req.apiKey?.id });
+  return reply.send({ callSid: session.callSid, sent: true });
+}
+
+/**
+ * POST /calls/:sid/say `{ text }`
+ *    Have the agent say the text to the caller, word for word
+ */
+export async function handleSay(req, reply) {
+  const session = callSessions.get(req.params.sid);
+  if (!session) {
+    return reply.status(404).send({ error: 'No live media stream for this call' });
+  }
+  const text = injectedText(req.body, MAX_SAY_LENGTH);
+  if (!text) {
+    return reply.status(400).send({ error: `text must be a non-empty string of at most ${MAX_SAY_LENGTH} characters` });
+  }
+  if (!session.agentConnected) {
+    return reply.status(409).send({ error: 'The agent is not connected to this call' });
+  }
+  if (session.agentMuted) {
+    return reply.status(409).send({ error: 'The agent is muted on this call' });
+  }
+  if (!session.voiceId) {
+    return reply.status(409).send({ error: "No voice for this call's agent; set voiceId on its profile (or ELEVENLABS_VOICE_ID for the default agent)" });
+  }
+
+  let durationMs;
+  try {
+    durationMs = await session.say(text);
+  } catch (err) {
+    req.log.error(err, '❌ Say failed');
+    return reply.status(502).send({ error: 'Speech synthesis failed' });
+  }
+  if (durationMs === null) {
+    return reply.status(409).send({ error: 'Call ended or the agent was muted before the text could be spoken' });
+  }
+
+  callStore.recordInjection(session.callSid, { kind: 'say', text, requestedBy: 'api', keyId: req.apiKey?.id });
+  return reply.send({ callSid: session.callSid, durationMs });
+}
@@ -0,0 +1,81 @@
+// twilioSignature.js
+import { randomBytes } from 'crypto';
+import Twilio from 'twilio';
+
+// Settings are read per request: server.js loads .env after its imports run
+
+// Set TWILIO_VALIDATE_SIGNATURES=false only for local testing without Twilio
+function validateSignatures() {
+  return process.env.TWILIO_VALIDATE_SIGNATURES !== 'false';
+}
+
+// Outbound calls can ring for a while before the stream connects
+const STREAM_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+
+const streamTokens = new Map(); // token -> expiresAt
+
+/**
+ * The URL Twilio requested, which is what it signs. Behind a proxy the scheme
+ * and host seen here may differ, so PUBLIC_BASE_URL can pin them.
+ */
+function publicUrl(req, protocol = 'https') {
+  const { PUBLIC_BASE_URL } = process.env;
+  const base = PUBLIC_BASE_URL
+    ? PUBLIC_BASE_URL.replace(/\/$/, '').replace(/^https?/, protocol)
+    : `${protocol}://${req.headers.host}`;
+  return `${base}${req.url}`;
+}
+
+function hasValidSignature(req, protocol, params = {}) {
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) return false;
+  return Twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, publicUrl(req, protocol), params);
+}
+
+/**
+ * Issue a one-time token for a Stream URL (`/media-stream/:token`), so the
+ * WebSocket can be authenticated even when the upgrade isn't signed
+ */
+export function issueStreamToken() {
+  const now = Date.now();
+  for (const [token, expiresAt] of streamTokens) {
+    if (expiresAt < now) streamTokens.delete(token);
+  }
+
+  const token = randomBytes(24).toString('hex');
+  streamTokens.set(token, now + STREAM_TOKEN_TTL);
+  return token;
+}
+
+function consumeStreamToken(token) {
+  const expiresAt = token && streamTokens.get(token);
+  if (!expiresAt) return false;
+  streamTokens.delete(token);
+  return expiresAt >= Date.now();
+}
+
+/**
+ * preHandler for Twilio webhooks: checks X-Twilio-Signature over the public
+ * URL and the form-encoded body parsed by @fastify/formbody
+ */
+export async function verifyTwilioWebhook(req, reply) {
+  if (!validateSignatures()) return;
+
+  if (!hasValidSignature(req, 'https', req.body || {})) {
+    req.log.warn('🚫 Rejected Twilio webhook with invalid signature', { url: req.url });
+    return reply.status(403).send({ error: 'Invalid Twilio signature' });
+  }
+}
+
+/**
+ * preValidation for the /media-stream upgrade: accepts a signed upgrade
+ * request or a one-time token from the Stream URL
+ */
+export async function verifyMediaStream(req, reply) {
+  if (!validateSignatures()) return;
+
+  if (consumeStreamToken(req.params?.token) || hasValidSignature(req, 'wss')) return;
+
+  req.log.warn('🚫 Rejected media stream connection', { url: req.url });
+  return reply.status(403).send({ error: 'Invalid media stream token or signature' });
+}
@@ -0,0 +1,222 @@
+// webhooks.js
+import fs from 'fs';
+import path from 'path';
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { JsonFileStore } from './jsonFileStore.js';
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+export const WEBHOOK_EVENTS = [
+  'call.initiated',
+  'call.answered',
+  'call.amd_result',
+  'call.completed',
+  'transcript.ready',
+  'tool.invoked'
+];
+
+const SECRET_PREFIX = 'whsec_';
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10); // doubles after each failure
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10);
+
+/**
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`; the timestamp
+ * lets receivers reject replays
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error(`events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')} or *`);
+  }
+  for (const event of events) {
+    if (event !== '*' && !WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(`Unknown event: ${event} (expected ${WEBHOOK_EVENTS.join(', ')} or *)`);
+    }
+  }
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('url must be an absolute http(s) URL');
+  }
+}
+
+/** A failed attempt that is worth repeating (network errors, 408, 429, 5xx) */
+function isRetryable(err) {
+  return !err.status || err.status === 408 || err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Outbound event webhooks. Subscriptions live in DATA_DIR/webhooks.json;
+ * WEBHOOK_URL with WEBHOOK_SECRET adds one for every event from the
+ * environment. Each delivery is signed with the subscription's secret,
+ * retried with exponential backoff, and appended to
+ * DATA_DIR/webhook-dead-letters.jsonl once it runs out of attempts.
+ * Pending retries are held in memory and do not survive a restart.
+ */
+export class WebhookNotifier {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.fileName || 'webhooks.json', { webhooks: {} });
+    this.deadLetterPath = options.deadLetterPath || path.join(DATA_DIR, 'webhook-dead-letters.jsonl');
+    this.deadLetterQueue = Promise.resolve();
+
+    const url = options.url ?? process.env.WEBHOOK_URL;
+    const secret = options.secret ?? process.env.WEBHOOK_SECRET;
+    this.envWebhook = url && secret
+      ? { id: 'env', url, events: ['*'], description: 'WEBHOOK_URL', secret }
+      : null;
+  }
+
+  subscriptions() {
+    const webhooks = Object.values(this.store.data.webhooks);
+    return this.envWebhook ? [this.envWebhook, ...webhooks] : webhooks;
+  }
+
+  list() {
+    return this.subscriptions().map(({ secret, ...webhook }) => webhook);
+  }
+
+  /** The secret is returned once, here, for the receiver to verify signatures */
+  create({ url, events = ['*'], description } = {}) {
+    validateUrl(url);
+    validateEvents(events);
+
+    const record = {
+      id: randomUUID(),
+      url,
+      events: [...new Set(events)],
+      description,
+      createdAt: new Date().toISOString(),
+      secret: `${SECRET_PREFIX}${randomBytes(24).toString('hex')}`
+    };
+    this.store.data.webhooks[record.id] = record;
+    this.store.save();
+    return record;
+  }
+
+  remove(id) {
+    if (!this.store.data.webhooks[id]) return false;
+    delete this.store.data.webhooks[id];
+    this.store.save();
+    return true;
+  }
+
+  /**
+   * Send an event to every subscription that wants it. Returns immediately;
+   * delivery and retries happen in the background.
+   */
+  emit(type, data = {}) {
+    const event = { id: randomUUID(), type, createdAt: new Date().toISOString(), data };
+    const body = JSON.stringify(event);
+    for (const webhook of this.subscriptions()) {
+      if (webhook.events.includes('*') || webhook.events.includes(type)) {
+        this.deliver(webhook, event, body, 1);
+      }
+    }
+    return event;
+  }
+
+  async deliver(webhook, event, body, attempt) {
+    try {
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AutoAgentAI-Webhooks/1.0',
+          'X-Webhook-Id': event.id,
+          'X-Webhook-Event': event.type,
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      if (!res.ok) {
+        throw Object.assign(new Error(`Webhook responded ${res.status}`), { status: res.status });
+      }
+    } catch (err) {
+      if (attempt < MAX_ATTEMPTS && isRetryable(err)) {
+        const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+        setTimeout(() => this.deliver(webhook, event, body, attempt + 1), delay).unref();
+        return;
+      }
+      this.deadLetter(webhook, event, attempt, err);
+    }
+  }
+
+  deadLetter(webhook, event, attempts, err) {
+    console.error(`❌ Webhook ${event.type} to ${webhook.url} failed after ${attempts} attempts:`, err.message);
+    const entry = {
+      webhookId: webhook.id,
+      url: webhook.url,
+      attempts,
+      error: err.message,
+      status: err.status,
+      failedAt: new Date().toISOString(),
+      event
+    };
+    this.deadLetterQueue = this.deadLetterQueue
+      .then(() => fs.promises.appendFile(this.deadLetterPath, JSON.stringify(entry) + '\n'))
+      .catch(error => console.error('Failed to write webhook dead letter:', error));
+  }
+
+  /** Most recent dead letters first */
+  async deadLetters(limit = 100) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.deadLetterPath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return contents
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+export const webhooks = new WebhookNotifier();
+
+/** GET /webhooks */
+export async function handleListWebhooks(req, reply) {
+  return reply.send({ events: WEBHOOK_EVENTS, webhooks: webhooks.list() });
+}
+
+/** POST /webhooks `{ url, events?, description? }` — the secret is only ever shown in this response */
+export async function handleCreateWebhook(req, reply) {
+  try {
+    return reply.status(201).send(webhooks.create(req.body || {}));
+  } catch (err) {
+    return reply.status(400).send({ error: err.message });
+  }
+}
+
+/** DELETE /webhooks/:id */
+export async function handleDeleteWebhook(req, reply) {
+  if (!webhooks.remove(req.params.id)) {
+    return reply.status(404).send({ error: 'Webhook not found' });
+  }
+  return reply.status(204).send();
+}
+
+/** GET /webhooks/dead-letters?limit */
+export async function handleListDeadLetters(req, reply) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  const deadLetters = await webhooks.deadLetters(limit);
+  return reply.send({ count: deadLetters.length, deadLetters });
+}